@@ -0,0 +1,52 @@
+/**
+ * Fixed Timestep
+ * Runs the simulation in fixed-size steps however often the display refreshes:
+ * frame time is collected in an accumulator and spent one step at a time, and
+ * the leftover fraction of a step is used to interpolate what gets drawn
+ * Shared with the server so movement inputs mean the same distance on both sides
+ */
+
+export const SIMULATION_RATE = 60; // Steps per second
+export const FIXED_STEP = 1 / SIMULATION_RATE; // Seconds per step
+
+const MAX_FRAME_TIME = 0.25; // Seconds; longer frames (tab switches, breakpoints) are dropped, not caught up
+
+export default class FixedTimestep {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.step] - Seconds per step
+     * @param {number} [options.maxFrameTime] - Most seconds one frame may add to the accumulator
+     */
+    constructor({ step = FIXED_STEP, maxFrameTime = MAX_FRAME_TIME } = {}) {
+        this.step = step;
+        this.maxFrameTime = maxFrameTime;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Add a frame's time and run every whole step it covers
+     * @param {number} delta - ms since the last frame
+     * @param {Function} stepFn - (dt) => void, dt in seconds; return false to
+     *   stop early and drop the remaining time (game over, level-up pause)
+     * @returns {number} interpolation alpha (0..1) between the previous and current step
+     */
+    advance(delta, stepFn) {
+        this.accumulator += Math.min(Math.max(delta, 0) / 1000, this.maxFrameTime);
+        while (this.accumulator >= this.step) {
+            this.accumulator -= this.step;
+            if (stepFn(this.step) === false) {
+                this.accumulator = 0;
+                break;
+            }
+        }
+        return this.getAlpha();
+    }
+
+    getAlpha() {
+        return this.accumulator / this.step;
+    }
+
+    reset() {
+        this.accumulator = 0;
+    }
+}
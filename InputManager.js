@@ -0,0 +1,407 @@
+/**
+ * Input Manager
+ * Keyboard, touch and gamepad input mapped to the named actions in inputBindings.js
+ * Presses go to the newest set of handlers (the scene, then any overlay on top);
+ * bindings can be changed by the player and are saved to localStorage
+ * Runs on DOM events and its own gamepad polling, so overlays keep working while the scene is paused
+ * With several gamepads connected, the one last pressed is the one that plays
+ */
+
+import {
+    INPUT_ACTIONS,
+    AXIS_PRESS_THRESHOLD,
+    REBIND_TIMEOUT,
+    mergeBindings,
+    mergeInputSettings,
+    parsePadInput,
+    replaceBinding,
+    applyStickResponse
+} from './inputBindings.js';
+
+const STORAGE_KEY = 'thumbGame_bindings';
+const SETTINGS_STORAGE_KEY = 'thumbGame_inputSettings';
+const MOVE_ACTIONS = ['moveUp', 'moveDown', 'moveLeft', 'moveRight'];
+
+export default class InputManager {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.onGamepadDisconnected] - (wasPlaying) => void, wasPlaying
+     *   when it was the gamepad in use
+     */
+    constructor({ onGamepadDisconnected = null } = {}) {
+        this.onGamepadLost = onGamepadDisconnected;
+        this.bindings = this.loadBindings();
+        this.settings = this.loadSettings();
+        this.handlerStack = [];
+        this.heldKeys = new Set();
+        this.padInputs = new Map(); // Gamepad index -> inputs held at the last poll, e.g. 'button0', 'axis1-'
+        this.gamepadIndex = null; // The gamepad that plays
+        this.capture = null; // { action, device, onDone, timer } while waiting for a new binding
+        this.touchMove = { active: false, x: 0, y: 0 }; // From the virtual joystick, length 0..1
+        this.pollFrame = null;
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onBlur = this.onBlur.bind(this);
+        this.onGamepadDisconnected = this.onGamepadDisconnected.bind(this);
+        this.poll = this.poll.bind(this);
+    }
+
+    /**
+     * Start listening to the keyboard and polling gamepads
+     */
+    attach() {
+        window.addEventListener('keydown', this.onKeyDown);
+        window.addEventListener('keyup', this.onKeyUp);
+        window.addEventListener('blur', this.onBlur);
+        window.addEventListener('gamepaddisconnected', this.onGamepadDisconnected);
+        this.pollFrame = requestAnimationFrame(this.poll);
+    }
+
+    destroy() {
+        window.removeEventListener('keydown', this.onKeyDown);
+        window.removeEventListener('keyup', this.onKeyUp);
+        window.removeEventListener('blur', this.onBlur);
+        window.removeEventListener('gamepaddisconnected', this.onGamepadDisconnected);
+        cancelAnimationFrame(this.pollFrame);
+        this.pollFrame = null;
+        this.cancelRebind();
+        this.handlerStack = [];
+        this.heldKeys.clear();
+        this.padInputs.clear();
+    }
+
+    /**
+     * Route action presses to these handlers until they are removed
+     * A handler returning false passes the press on to its next bound action
+     * @param {Object} handlers - Action id -> () => void|false
+     */
+    pushHandlers(handlers) {
+        this.handlerStack.push(handlers);
+        return handlers;
+    }
+
+    removeHandlers(handlers) {
+        const index = this.handlerStack.lastIndexOf(handlers);
+        if (index > -1) {
+            this.handlerStack.splice(index, 1);
+        }
+    }
+
+    /**
+     * Give a press to the newest handlers
+     * @param {string[]} actions - Actions bound to the pressed input, in priority order
+     * @returns {boolean} whether a handler took it
+     */
+    dispatch(actions) {
+        const handlers = this.handlerStack[this.handlerStack.length - 1];
+        if (!handlers) return false;
+
+        for (const action of actions) {
+            if (typeof handlers[action] !== 'function') continue;
+            if (handlers[action]() !== false) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Press an action from an on-screen control
+     */
+    press(action) {
+        return this.dispatch([action]);
+    }
+
+    actionsFor(device, input) {
+        return INPUT_ACTIONS
+            .map(action => action.id)
+            .filter(action => this.bindings[action][device].includes(input));
+    }
+
+    onKeyDown(event) {
+        const tag = event.target?.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+
+        if (this.capture && this.capture.device !== 'pad') {
+            event.preventDefault();
+            this.finishRebind('keys', event.code);
+            return;
+        }
+
+        this.heldKeys.add(event.code);
+        const actions = this.actionsFor('keys', event.code);
+        if (actions.length === 0) return;
+
+        // Bound keys never scroll the page or click a focused button
+        event.preventDefault();
+        if (!event.repeat) {
+            this.dispatch(actions);
+        }
+    }
+
+    onKeyUp(event) {
+        this.heldKeys.delete(event.code);
+    }
+
+    onBlur() {
+        // Key-ups are lost while the window is in the background
+        this.heldKeys.clear();
+    }
+
+    onGamepadDisconnected(event) {
+        const wasPlaying = event.gamepad.index === this.gamepadIndex;
+        this.padInputs.delete(event.gamepad.index);
+        if (wasPlaying) {
+            console.log(`[InputManager] Gamepad ${event.gamepad.index} disconnected`);
+            this.gamepadIndex = null;
+        }
+        if (this.onGamepadLost) this.onGamepadLost(wasPlaying);
+    }
+
+    getGamepads() {
+        try {
+            return navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected) : [];
+        } catch (error) {
+            // Gamepads can be blocked by permissions policy
+            return [];
+        }
+    }
+
+    /**
+     * The gamepad that plays, or null until one is pressed
+     */
+    getGamepad() {
+        if (this.gamepadIndex === null) return null;
+        return this.getGamepads().find(pad => pad.index === this.gamepadIndex) || null;
+    }
+
+    /**
+     * Make a gamepad the one that plays
+     */
+    selectGamepad(index) {
+        if (index === this.gamepadIndex) return;
+        this.gamepadIndex = index;
+        const pad = this.getGamepad();
+        console.log(`[InputManager] Using gamepad ${index}${pad ? `: ${pad.id}` : ''}`);
+    }
+
+    /**
+     * Read the gamepads once per animation frame and turn new presses into actions
+     * A new press on another gamepad hands control to it
+     */
+    poll() {
+        this.pollFrame = requestAnimationFrame(this.poll);
+
+        for (const pad of this.getGamepads()) {
+            const held = new Set();
+            pad.buttons.forEach((button, index) => {
+                if (button.pressed) held.add(`button${index}`);
+            });
+            pad.axes.forEach((value, index) => {
+                if (value <= -AXIS_PRESS_THRESHOLD) held.add(`axis${index}-`);
+                if (value >= AXIS_PRESS_THRESHOLD) held.add(`axis${index}+`);
+            });
+
+            const previous = this.padInputs.get(pad.index);
+            this.padInputs.set(pad.index, held);
+            // Whatever a gamepad reports when first seen (resting triggers) isn't a press
+            if (!previous) continue;
+            for (const input of held) {
+                if (previous.has(input)) continue;
+                this.selectGamepad(pad.index);
+                if (this.capture && this.capture.device !== 'keys') {
+                    this.finishRebind('pad', input);
+                } else {
+                    this.dispatch(this.actionsFor('pad', input));
+                }
+            }
+        }
+    }
+
+    /**
+     * Whether an action's key or gamepad button is held (sticks count past the press threshold)
+     */
+    isDown(action) {
+        const binding = this.bindings[action];
+        if (binding.keys.some(code => this.heldKeys.has(code))) return true;
+        const held = this.padInputs.get(this.gamepadIndex);
+        return !!held && binding.pad.some(input => held.has(input));
+    }
+
+    /**
+     * How far the sticks bound to an action are pushed its way, 0..1 (no deadzone)
+     */
+    getAxisValue(action, pad) {
+        let value = 0;
+        for (const input of this.bindings[action].pad) {
+            const parsed = parsePadInput(input);
+            if (parsed.type === 'axis') {
+                value = Math.max(value, (pad.axes[parsed.index] || 0) * parsed.sign);
+            }
+        }
+        return Math.min(value, 1);
+    }
+
+    /**
+     * Movement, length 0..1: keys and D-pad move at full speed, the stick is
+     * analog (deadzone and response curve from the settings), the virtual joystick overrides both
+     * @param {{x: number, y: number}} [out]
+     */
+    getMoveVector(out = { x: 0, y: 0 }) {
+        const pad = this.getGamepad();
+        const digital = {};
+        for (const action of MOVE_ACTIONS) {
+            const binding = this.bindings[action];
+            digital[action] = binding.keys.some(code => this.heldKeys.has(code)) ||
+                (!!pad && binding.pad.some(input => {
+                    const parsed = parsePadInput(input);
+                    return parsed.type === 'button' && !!pad.buttons[parsed.index]?.pressed;
+                }));
+        }
+        out.x = (digital.moveRight ? 1 : 0) - (digital.moveLeft ? 1 : 0);
+        out.y = (digital.moveDown ? 1 : 0) - (digital.moveUp ? 1 : 0);
+
+        if (out.x !== 0 && out.y !== 0) {
+            out.x *= Math.SQRT1_2;
+            out.y *= Math.SQRT1_2;
+        } else if (out.x === 0 && out.y === 0 && pad) {
+            const stick = applyStickResponse(
+                this.getAxisValue('moveRight', pad) - this.getAxisValue('moveLeft', pad),
+                this.getAxisValue('moveDown', pad) - this.getAxisValue('moveUp', pad),
+                this.settings
+            );
+            out.x = stick.x;
+            out.y = stick.y;
+        }
+
+        const touch = this.touchMove;
+        if (touch.active && (touch.x !== 0 || touch.y !== 0)) {
+            out.x = touch.x;
+            out.y = touch.y;
+        }
+        return out;
+    }
+
+    /**
+     * Vibrate the gamepad that plays, where the browser supports it
+     * @param {number} strength - 0..1
+     * @param {number} duration - ms
+     */
+    rumble(strength, duration) {
+        if (!this.settings.rumble) return;
+        const pad = this.getGamepad();
+        if (!pad) return;
+
+        const magnitude = Math.min(1, Math.max(0, strength));
+        try {
+            if (pad.vibrationActuator?.playEffect) {
+                pad.vibrationActuator.playEffect('dual-rumble', {
+                    duration,
+                    strongMagnitude: magnitude,
+                    weakMagnitude: magnitude
+                }).catch(() => {});
+            } else if (pad.hapticActuators?.[0]?.pulse) {
+                pad.hapticActuators[0].pulse(magnitude, duration);
+            }
+        } catch (error) {
+            // Haptics are best effort
+        }
+    }
+
+    /**
+     * Movement from the virtual joystick while a finger is on it
+     */
+    setTouchMove(x, y) {
+        Object.assign(this.touchMove, { active: true, x, y });
+    }
+
+    releaseTouchMove() {
+        Object.assign(this.touchMove, { active: false, x: 0, y: 0 });
+    }
+
+    /**
+     * Bind the next key (device 'keys'), gamepad input (device 'pad') or either (device 'any')
+     * pressed to an action; any key can be bound, so it gives up after REBIND_TIMEOUT instead
+     * The input takes the place of one of the action's bindings (see replaceBinding)
+     * @param {Function} [onDone] - (input) => void, input is null when it timed out
+     */
+    rebind(action, device, onDone) {
+        if (!this.bindings[action]) return;
+        this.cancelRebind();
+        const timer = setTimeout(() => {
+            this.capture = null;
+            if (onDone) onDone(null);
+        }, REBIND_TIMEOUT);
+        this.capture = { action, device, onDone, timer };
+    }
+
+    cancelRebind() {
+        if (this.capture) clearTimeout(this.capture.timer);
+        this.capture = null;
+    }
+
+    finishRebind(device, input) {
+        const { action, onDone } = this.capture;
+        this.cancelRebind();
+        this.setBindings(action, device, replaceBinding(this.bindings[action][device], input, device));
+        console.log(`[InputManager] ${action} bound to ${input}`);
+        if (onDone) onDone(input);
+    }
+
+    getBindings() {
+        return mergeBindings(this.bindings);
+    }
+
+    setBindings(action, device, inputs) {
+        this.bindings = mergeBindings({ ...this.bindings, [action]: { ...this.bindings[action], [device]: inputs } });
+        this.saveBindings();
+    }
+
+    resetBindings() {
+        this.bindings = mergeBindings(null);
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (error) {
+            console.warn('[InputManager] Could not clear bindings:', error);
+        }
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Change an input setting (see DEFAULT_INPUT_SETTINGS); out-of-range values are clamped
+     */
+    setSetting(key, value) {
+        this.settings = mergeInputSettings({ ...this.settings, [key]: value });
+        try {
+            localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('[InputManager] Could not save input settings:', error);
+        }
+    }
+
+    loadSettings() {
+        try {
+            return mergeInputSettings(JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)));
+        } catch (error) {
+            return mergeInputSettings(null);
+        }
+    }
+
+    loadBindings() {
+        try {
+            return mergeBindings(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+        } catch (error) {
+            return mergeBindings(null);
+        }
+    }
+
+    saveBindings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('[InputManager] Could not save bindings:', error);
+        }
+    }
+}
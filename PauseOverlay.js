@@ -1,21 +1,33 @@
 export default class PauseOverlay {
-    constructor({ getGamepad } = {}) {
-        this.getGamepad = typeof getGamepad === 'function'
-            ? getGamepad
-            : () => window.getGlobalGamepad?.();
+    constructor({ input } = {}) {
+        this.input = input || null; // InputManager; keyboard and gamepad go through its actions
         this.overlay = null;
+        this.headerContainer = null;
         this.optionsContainer = null;
-        this.options = [];
-        this.selectedIndex = 0;
-        this.lastDpadUp = false;
-        this.lastDpadDown = false;
+        this.menuStack = []; // Open menus, root first: { title, subtitle, hint, options, selectedIndex }
         this.optionsClickListener = null;
-        this.pauseKeyListener = null;
-        this.pauseGamepadInterval = null;
-        this.startButtonWasPressed = false;
+        this.inputHandlers = null;
         this.onResume = null;
     }
 
+    /**
+     * The menu on top of the stack
+     */
+    get menu() {
+        return this.menuStack[this.menuStack.length - 1] || null;
+    }
+
+    get options() {
+        return this.menu ? this.menu.options : [];
+    }
+
+    /**
+     * Show the overlay with a root menu
+     * Options are { id, label, description?, onSelect?, submenu?, value?, onAdjust? }:
+     *   submenu  - () => menu ({ title, subtitle, hint, options }) opened on select; Back returns
+     *   value    - () => string shown after the label
+     *   onAdjust - (step) => void; left/right (and select, with step 1) change the value
+     */
     show({
         id = 'game-pause-overlay',
         title = 'PAUSED',
@@ -30,8 +42,7 @@ export default class PauseOverlay {
         this.hide();
 
         this.onResume = typeof onResume === 'function' ? onResume : null;
-        this.options = Array.isArray(options) ? options : [];
-        this.selectedIndex = Math.max(0, Math.min(selectedIndex, this.options.length - 1));
+        this.menuStack = [this._createMenu({ title, subtitle, hint, options, selectedIndex })];
 
         this.overlay = document.createElement('div');
         this.overlay.id = id;
@@ -50,33 +61,23 @@ export default class PauseOverlay {
             font-family: Arial, sans-serif;
         `;
 
-        const subtitleMarkup = subtitle
-            ? `<div style="font-size: 18px; color: #AAA; margin-bottom: 10px;">${subtitle}</div>`
-            : '';
-        const hintMarkup = hint
-            ? `<div style="font-size: 18px; color: #AAA; margin-bottom: 18px;">${hint}</div>`
-            : '';
-
         this.overlay.innerHTML = `
             <div style="text-align: center; color: white;">
-                <div style="font-size: 72px; font-weight: bold; margin-bottom: 20px; color: #FFD700;">
-                    ${title}
-                </div>
-                ${subtitleMarkup}
-                ${hintMarkup}
+                <div data-pause-header="true"></div>
                 <div data-pause-options="true"></div>
             </div>
         `;
 
+        this.headerContainer = this.overlay.querySelector('[data-pause-header="true"]');
         this.optionsContainer = this.overlay.querySelector('[data-pause-options="true"]');
-        this._renderOptions();
+        this.refresh();
         this.optionsClickListener = (event) => {
             const target = event.target.closest('[data-option-index]');
             if (!target) return;
             event.preventDefault();
             const index = Number(target.getAttribute('data-option-index'));
             if (!Number.isNaN(index)) {
-                this.selectedIndex = index;
+                this.menu.selectedIndex = index;
                 this._renderOptions();
                 this._handleActivate();
             }
@@ -85,51 +86,54 @@ export default class PauseOverlay {
 
         document.body.appendChild(this.overlay);
 
-        this.pauseKeyListener = (event) => {
-            if (event.key === 'Enter') {
-                event.preventDefault();
-                this._handleActivate();
-                return;
-            }
-
-            if (event.key === 'ArrowUp' || event.key === 'w' || event.key === 'W') {
-                event.preventDefault();
-                this._moveSelection(-1);
-                return;
-            }
-
-            if (event.key === 'ArrowDown' || event.key === 's' || event.key === 'S') {
-                event.preventDefault();
-                this._moveSelection(1);
-                return;
-            }
-        };
-        document.addEventListener('keydown', this.pauseKeyListener);
+        // Takes every action press while shown; Back leaves a sub-menu, and Back
+        // (on the root menu) and Pause resume when the overlay can be dismissed
+        if (this.input) {
+            this.inputHandlers = this.input.pushHandlers({
+                confirm: () => this._handleActivate(),
+                back: () => this.back(),
+                pause: () => {
+                    if (this.onResume) this.onResume();
+                },
+                moveUp: () => this._moveSelection(-1),
+                moveDown: () => this._moveSelection(1),
+                moveLeft: () => this._adjust(-1),
+                moveRight: () => this._adjust(1)
+            });
+        }
+    }
 
-        this.pauseGamepadInterval = setInterval(() => {
-            const pad = this.getGamepad?.();
-            const dpadUp = !!(pad && pad.buttons && pad.buttons[12] && pad.buttons[12].pressed);
-            const dpadDown = !!(pad && pad.buttons && pad.buttons[13] && pad.buttons[13].pressed);
+    /**
+     * Open a sub-menu on top of the current one; a BACK option is added at the end
+     */
+    openMenu({ title = '', subtitle = '', hint = '', options = [], selectedIndex = 0 } = {}) {
+        if (!this.overlay) return;
 
-            if (dpadUp && !this.lastDpadUp) {
-                this._moveSelection(-1);
-            }
-            if (dpadDown && !this.lastDpadDown) {
-                this._moveSelection(1);
-            }
+        const backOption = { id: 'back', label: 'BACK', onSelect: () => this.back() };
+        this.menuStack.push(this._createMenu({ title, subtitle, hint, options: [...options, backOption], selectedIndex }));
+        this.refresh();
+    }
 
-            this.lastDpadUp = dpadUp;
-            this.lastDpadDown = dpadDown;
+    /**
+     * Close the current sub-menu; on the root menu, resume if the overlay can be dismissed
+     */
+    back() {
+        if (this.menuStack.length > 1) {
+            this.menuStack.pop();
+            this.refresh();
+            return;
+        }
+        if (this.onResume) {
+            this.onResume();
+        }
+    }
 
-            if (pad && pad.buttons && pad.buttons[9] && pad.buttons[9].pressed) {
-                if (!this.startButtonWasPressed) {
-                    this.startButtonWasPressed = true;
-                    this._handleActivate();
-                }
-            } else {
-                this.startButtonWasPressed = false;
-            }
-        }, 50);
+    /**
+     * Redraw the current menu (values shown by options may have changed)
+     */
+    refresh() {
+        this._renderHeader();
+        this._renderOptions();
     }
 
     hide() {
@@ -138,14 +142,9 @@ export default class PauseOverlay {
             this.overlay = null;
         }
 
-        if (this.pauseKeyListener) {
-            document.removeEventListener('keydown', this.pauseKeyListener);
-            this.pauseKeyListener = null;
-        }
-
-        if (this.pauseGamepadInterval) {
-            clearInterval(this.pauseGamepadInterval);
-            this.pauseGamepadInterval = null;
+        if (this.inputHandlers) {
+            this.input.removeHandlers(this.inputHandlers);
+            this.inputHandlers = null;
         }
 
         if (this.optionsContainer && this.optionsClickListener) {
@@ -154,17 +153,33 @@ export default class PauseOverlay {
         this.optionsClickListener = null;
 
         this.onResume = null;
-        this.startButtonWasPressed = false;
-        this.lastDpadUp = false;
-        this.lastDpadDown = false;
-        this.options = [];
-        this.selectedIndex = 0;
+        this.menuStack = [];
+        this.headerContainer = null;
         this.optionsContainer = null;
     }
 
+    _createMenu({ title, subtitle, hint, options, selectedIndex }) {
+        const menuOptions = Array.isArray(options) ? options : [];
+        return {
+            title,
+            subtitle,
+            hint,
+            options: menuOptions,
+            selectedIndex: Math.max(0, Math.min(selectedIndex, menuOptions.length - 1))
+        };
+    }
+
     _handleActivate() {
         if (this.options.length > 0) {
-            const selected = this.options[this.selectedIndex];
+            const selected = this.options[this.menu.selectedIndex];
+            if (selected && typeof selected.submenu === 'function') {
+                this.openMenu(selected.submenu());
+                return;
+            }
+            if (selected && typeof selected.onAdjust === 'function') {
+                this._adjust(1);
+                return;
+            }
             if (selected && typeof selected.onSelect === 'function') {
                 selected.onSelect();
                 return;
@@ -180,16 +195,50 @@ export default class PauseOverlay {
         }
     }
 
+    _adjust(step) {
+        const selected = this.options[this.menu?.selectedIndex];
+        if (!selected || typeof selected.onAdjust !== 'function') {
+            return;
+        }
+
+        selected.onAdjust(step);
+        this._renderOptions();
+    }
+
     _moveSelection(delta) {
         if (!this.options.length) {
             return;
         }
 
-        const nextIndex = (this.selectedIndex + delta + this.options.length) % this.options.length;
-        this.selectedIndex = nextIndex;
+        const nextIndex = (this.menu.selectedIndex + delta + this.options.length) % this.options.length;
+        this.menu.selectedIndex = nextIndex;
         this._renderOptions();
     }
 
+    _renderHeader() {
+        if (!this.headerContainer || !this.menu) {
+            return;
+        }
+
+        const { title, subtitle, hint } = this.menu;
+        // Sub-menus get a smaller title
+        const titleSize = this.menuStack.length > 1 ? 48 : 72;
+        const subtitleMarkup = subtitle
+            ? `<div style="font-size: 18px; color: #AAA; margin-bottom: 10px;">${subtitle}</div>`
+            : '';
+        const hintMarkup = hint
+            ? `<div style="font-size: 18px; color: #AAA; margin-bottom: 18px;">${hint}</div>`
+            : '';
+
+        this.headerContainer.innerHTML = `
+            <div style="font-size: ${titleSize}px; font-weight: bold; margin-bottom: 20px; color: #FFD700;">
+                ${title}
+            </div>
+            ${subtitleMarkup}
+            ${hintMarkup}
+        `;
+    }
+
     _renderOptions() {
         if (!this.optionsContainer) {
             return;
@@ -202,12 +251,19 @@ export default class PauseOverlay {
 
         const optionsMarkup = this.options
             .map((option, index) => {
-                const isSelected = index === this.selectedIndex;
+                const isSelected = index === this.menu.selectedIndex;
                 const color = isSelected ? '#FFD700' : '#FFFFFF';
                 const weight = isSelected ? 'bold' : 'normal';
+                const valueMarkup = typeof option.value === 'function'
+                    ? `: ${typeof option.onAdjust === 'function' ? `&lsaquo; ${option.value()} &rsaquo;` : option.value()}`
+                    : '';
+                const descriptionMarkup = option.description
+                    ? `<div style="font-size: 14px; color: #AAA; font-weight: normal;">${option.description}</div>`
+                    : '';
                 return `
                     <div data-option-index="${index}" style="font-size: 18px; color: ${color}; font-weight: ${weight}; margin: 6px 0; cursor: pointer;">
-                        ${option.label}
+                        ${option.label}${valueMarkup}
+                        ${descriptionMarkup}
                     </div>
                 `;
             })
@@ -0,0 +1,142 @@
+/**
+ * Pickup Manager
+ * EXP gems and other pickups lying in the world: spawning, attraction toward
+ * the player, collection and sprite pooling
+ * Pickups and their sprites live in world space
+ */
+
+import { PICKUP_TYPES, ATTRACT_SPEED, ATTRACT_ACCELERATION, getGemTier } from './pickups.js';
+
+const MAX_GEMS = 300; // Past this, new gems merge into the oldest one
+
+export default class PickupManager {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Object} options
+     * @param {Function} options.onCollect - (pickup) => void, pickup is { type, value, x, y }
+     */
+    constructor(scene, { onCollect } = {}) {
+        this.scene = scene;
+        this.onCollect = onCollect;
+        this.pickups = [];
+        this.spritePool = [];
+        this.gemCount = 0;
+    }
+
+    /**
+     * Drop a pickup at a world position
+     * @param {number} [value] - EXP for gems
+     */
+    spawn(type, x, y, value = 0) {
+        if (!PICKUP_TYPES[type]) return null;
+
+        if (type === 'gem' && this.gemCount >= MAX_GEMS) {
+            const oldest = this.pickups.find(pickup => pickup.type === 'gem');
+            oldest.value += value;
+            this.applyLook(oldest);
+            return oldest;
+        }
+
+        let sprite = this.spritePool.pop();
+        if (sprite) {
+            sprite.setVisible(true);
+        } else {
+            sprite = this.scene.add.circle(0, 0, 1, 0xffffff);
+            sprite.setDepth(0);
+        }
+
+        sprite.setPosition(x, y);
+        const pickup = { type, x, y, prevX: x, prevY: y, value, sprite, attracted: false, speed: 0 };
+        this.applyLook(pickup);
+        this.pickups.push(pickup);
+        if (type === 'gem') this.gemCount++;
+        return pickup;
+    }
+
+    applyLook(pickup) {
+        const look = pickup.type === 'gem' ? getGemTier(pickup.value) : PICKUP_TYPES[pickup.type];
+        pickup.radius = look.radius;
+        pickup.sprite.setRadius(look.radius);
+        pickup.sprite.setFillStyle(look.color);
+        pickup.sprite.setStrokeStyle(2, 0xffffff, pickup.type === 'gem' ? 0.4 : 0.9);
+    }
+
+    /**
+     * Pull every gem toward the player (magnet pickup)
+     */
+    attractAllGems() {
+        for (const pickup of this.pickups) {
+            if (pickup.type === 'gem') pickup.attracted = true;
+        }
+    }
+
+    /**
+     * Move attracted pickups and collect the ones the player touches (one simulation step)
+     * @param {number} dt - Seconds
+     * @param {PlayerModule} player - The local player (its world x/y)
+     * @param {number} playerRadius
+     * @param {number} pickupRadius - Pickups inside this distance start moving toward the player
+     */
+    update(dt, player, playerRadius, pickupRadius) {
+        for (let i = this.pickups.length - 1; i >= 0; i--) {
+            const pickup = this.pickups[i];
+            pickup.prevX = pickup.x;
+            pickup.prevY = pickup.y;
+            const dx = player.x - pickup.x;
+            const dy = player.y - pickup.y;
+            let dist = Math.sqrt(dx * dx + dy * dy);
+
+            if (!pickup.attracted && dist <= pickupRadius) {
+                pickup.attracted = true;
+            }
+            if (pickup.attracted && dist > 0) {
+                pickup.speed = pickup.speed > 0 ? pickup.speed + ATTRACT_ACCELERATION * dt : ATTRACT_SPEED;
+                const step = Math.min(pickup.speed * dt, dist);
+                pickup.x += (dx / dist) * step;
+                pickup.y += (dy / dist) * step;
+                dist -= step;
+            }
+
+            if (dist <= playerRadius + pickup.radius) {
+                this.release(i);
+                this.onCollect(pickup);
+            }
+        }
+    }
+
+    /**
+     * Place sprites between the previous and current step
+     * @param {number} alpha - 0..1 through the current step (see FixedTimestep)
+     */
+    render(alpha) {
+        for (const pickup of this.pickups) {
+            pickup.sprite.setPosition(
+                pickup.prevX + (pickup.x - pickup.prevX) * alpha,
+                pickup.prevY + (pickup.y - pickup.prevY) * alpha
+            );
+        }
+    }
+
+    release(index) {
+        const [pickup] = this.pickups.splice(index, 1);
+        pickup.sprite.setVisible(false);
+        this.spritePool.push(pickup.sprite);
+        if (pickup.type === 'gem') this.gemCount--;
+    }
+
+    /**
+     * Remove every pickup (new run)
+     */
+    clear() {
+        while (this.pickups.length > 0) {
+            this.release(this.pickups.length - 1);
+        }
+    }
+
+    /**
+     * Pickups for the save slot
+     */
+    getState() {
+        return this.pickups.map(({ type, x, y, value }) => ({ type, x, y, value }));
+    }
+}
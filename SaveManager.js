@@ -0,0 +1,140 @@
+/**
+ * Save Manager
+ * A single versioned save slot in localStorage
+ * Older saves are upgraded through MIGRATIONS on load; saves from a newer
+ * version of the game (or corrupt ones) are ignored
+ */
+
+export const SAVE_VERSION = 7;
+
+// MIGRATIONS[n] upgrades a version n save to version n + 1
+const MIGRATIONS = {
+    // v2: enemies have an archetype; everything before was the orange grunt
+    1: (data) => ({
+        ...data,
+        enemies: data.enemies.map(enemy => ({ type: 'grunt', ...enemy }))
+    }),
+    // v3: wave director state; older runs pick up at wave 1 on normal
+    2: (data) => ({
+        ...data,
+        wave: {
+            difficulty: 'normal',
+            wave: 1,
+            phase: 'wave',
+            phaseTimer: 30000,
+            spawnTimer: 0,
+            elapsed: 0
+        }
+    }),
+    // v4: upgrade builds replace automatic damage growth; older runs get to pick their upgrades
+    3: ({ attackDamage, ...data }) => ({
+        ...data,
+        build: {},
+        pendingUpgrades: data.playerLevel - 1
+    }),
+    // v5: EXP gems and other pickups lying in the world
+    4: (data) => ({ ...data, pickups: [] }),
+    // v6: the local player is saved as a whole (PlayerModule.getState())
+    5: ({ worldOffset, playerStats, playerLevel, playerExp, nextLevelExp, build, ...data }) => ({
+        ...data,
+        player: {
+            x: worldOffset.x,
+            y: worldOffset.y,
+            hp: playerStats.hp,
+            maxHp: playerStats.maxHP,
+            level: playerLevel,
+            exp: playerExp,
+            nextLevelExp,
+            build
+        }
+    }),
+    // v7: wave director timers are in seconds
+    6: ({ wave, ...data }) => ({
+        ...data,
+        wave: {
+            ...wave,
+            phaseTimer: wave.phaseTimer / 1000,
+            spawnTimer: wave.spawnTimer / 1000,
+            elapsed: wave.elapsed / 1000
+        }
+    })
+};
+
+export default class SaveManager {
+    constructor({
+        storageKey = 'thumbGame_save',
+        version = SAVE_VERSION,
+        migrations = MIGRATIONS
+    } = {}) {
+        this.storageKey = storageKey;
+        this.version = version;
+        this.migrations = migrations;
+    }
+
+    /**
+     * Whether a usable save exists
+     */
+    hasSave() {
+        return this.load() !== null;
+    }
+
+    /**
+     * Write the slot
+     */
+    save(data) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                version: this.version,
+                savedAt: Date.now(),
+                data
+            }));
+            return true;
+        } catch (error) {
+            console.error('[SaveManager] Error saving game:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Read the slot, migrated to the current version
+     * @returns {Object|null} saved data, or null if there is no usable save
+     */
+    load() {
+        let save;
+        try {
+            save = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+        } catch (error) {
+            console.warn('[SaveManager] Ignoring corrupt save:', error);
+            return null;
+        }
+        if (!save || typeof save !== 'object' || !save.data) return null;
+
+        let { version, data } = save;
+        if (!Number.isInteger(version) || version > this.version) {
+            console.warn(`[SaveManager] Ignoring save from unsupported version ${version}`);
+            return null;
+        }
+
+        while (version < this.version) {
+            const migrate = this.migrations[version];
+            if (!migrate) {
+                console.warn(`[SaveManager] No migration from save version ${version}`);
+                return null;
+            }
+            data = migrate(data);
+            version++;
+        }
+        return data;
+    }
+
+    /**
+     * Delete the slot
+     */
+    clear() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.error('[SaveManager] Error clearing save:', error);
+        }
+    }
+}
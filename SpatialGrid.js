@@ -0,0 +1,128 @@
+/**
+ * Spatial Grid
+ * Uniform-grid spatial index for circles ({ x, y, radius }), rebuilt every frame
+ * Turns separation, collision and targeting lookups from scans over every
+ * entity into scans over the few grid cells around a point
+ */
+
+const DEFAULT_CELL_SIZE = 128;
+const KEY_OFFSET = 32768; // Cell coordinates are packed into one number: keeps |cell| < 32768
+const MAX_CACHED_CELLS = 4096; // Drop empty cells left behind as the player roams
+
+export default class SpatialGrid {
+    /**
+     * @param {number} [cellSize] - px; about the diameter of a typical entity works well
+     */
+    constructor(cellSize = DEFAULT_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // Map cell key -> item indices
+        this.items = [];
+        this.maxRadius = 0;
+    }
+
+    get count() {
+        return this.items.length;
+    }
+
+    cellKey(cellX, cellY) {
+        return (cellX + KEY_OFFSET) * KEY_OFFSET * 2 + (cellY + KEY_OFFSET);
+    }
+
+    /**
+     * Empty the grid; cell arrays are kept and reused
+     */
+    clear() {
+        if (this.cells.size > MAX_CACHED_CELLS) {
+            this.cells.clear();
+        }
+        for (const cell of this.cells.values()) {
+            cell.length = 0;
+        }
+        this.items.length = 0;
+        this.maxRadius = 0;
+    }
+
+    /**
+     * Replace the contents with a list of items
+     * @param {Array} items
+     * @param {Function} [filter] - item => boolean, items to leave out
+     */
+    rebuild(items, filter = null) {
+        this.clear();
+        for (const item of items) {
+            if (!filter || filter(item)) this.insert(item);
+        }
+    }
+
+    /**
+     * Add an item at its current position
+     */
+    insert(item) {
+        const key = this.cellKey(Math.floor(item.x / this.cellSize), Math.floor(item.y / this.cellSize));
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+        cell.push(this.items.length);
+        this.items.push(item);
+        this.maxRadius = Math.max(this.maxRadius, item.radius || 0);
+    }
+
+    /**
+     * Calls visit(index) for every item in the cells that may hold items touching the circle
+     */
+    forEachCandidate(x, y, range, visit) {
+        const reach = range + this.maxRadius;
+        const minX = Math.floor((x - reach) / this.cellSize);
+        const maxX = Math.floor((x + reach) / this.cellSize);
+        const minY = Math.floor((y - reach) / this.cellSize);
+        const maxY = Math.floor((y + reach) / this.cellSize);
+        for (let cellX = minX; cellX <= maxX; cellX++) {
+            for (let cellY = minY; cellY <= maxY; cellY++) {
+                const cell = this.cells.get(this.cellKey(cellX, cellY));
+                if (!cell) continue;
+                for (let i = 0; i < cell.length; i++) {
+                    visit(cell[i]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Items whose circle overlaps the circle at (x, y) with the given range
+     * @param {Array} [out] - Array to fill (reused to avoid garbage)
+     */
+    query(x, y, range, out = []) {
+        out.length = 0;
+        this.forEachCandidate(x, y, range, (index) => {
+            const item = this.items[index];
+            const dx = item.x - x;
+            const dy = item.y - y;
+            const reach = range + item.radius;
+            if (dx * dx + dy * dy <= reach * reach) {
+                out.push(item);
+            }
+        });
+        return out;
+    }
+
+    /**
+     * Calls callback(a, b) once for every pair of items whose circles overlap
+     */
+    forEachOverlappingPair(callback) {
+        for (let i = 0; i < this.items.length; i++) {
+            const a = this.items[i];
+            this.forEachCandidate(a.x, a.y, a.radius, (j) => {
+                if (j <= i) return;
+                const b = this.items[j];
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const minDist = a.radius + b.radius;
+                if (dx * dx + dy * dy < minDist * minDist) {
+                    callback(a, b);
+                }
+            });
+        }
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * Virtual Joystick
+ * On-screen touch controls: a joystick whose knob offset moves the player
+ * proportionally, and an action button a second finger can press meanwhile
+ * Floating mode puts the base where the thumb lands, fixed mode keeps it in a
+ * bottom corner; handedness picks which side of the screen each control is on
+ * Drawn in screen space; movement and button presses go through the InputManager
+ */
+
+const BASE_RADIUS = 60; // px; how far the knob can travel
+const KNOB_RADIUS = 26;
+const DEADZONE = 0.15; // Fraction of the knob travel ignored
+const EDGE_MARGIN = 40; // px between the screen edge and the fixed base / action button
+const BUTTON_RADIUS = 36;
+
+export default class VirtualJoystick {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {InputManager} inputManager - Its settings pick the mode and handedness
+     * @param {Object} [options]
+     * @param {string} [options.buttonAction] - Action the button presses (see inputBindings.js)
+     * @param {string} [options.buttonLabel]
+     */
+    constructor(scene, inputManager, { buttonAction = 'pause', buttonLabel = 'II' } = {}) {
+        this.scene = scene;
+        this.inputManager = inputManager;
+        this.buttonAction = buttonAction;
+        this.buttonLabel = buttonLabel;
+        this.enabled = false;
+        this.touchSeen = false; // The on-screen controls only show on touch screens
+        this.movePointerId = null;
+        this.buttonPointerId = null;
+        this.origin = { x: 0, y: 0 };
+        this.knobX = 0;
+        this.knobY = 0;
+    }
+
+    create() {
+        const scene = this.scene;
+        this.base = scene.add.circle(0, 0, BASE_RADIUS, 0xffffff, 0.12);
+        this.base.setStrokeStyle(2, 0xffffff, 0.35);
+        this.knob = scene.add.circle(0, 0, KNOB_RADIUS, 0xffffff, 0.45);
+        this.button = scene.add.circle(0, 0, BUTTON_RADIUS, 0xffffff, 0.15);
+        this.button.setStrokeStyle(2, 0xffffff, 0.4);
+        this.buttonText = scene.add.text(0, 0, this.buttonLabel, {
+            font: 'bold 20px Arial',
+            fill: '#ffffff'
+        }).setOrigin(0.5);
+
+        for (const object of [this.base, this.knob, this.button, this.buttonText]) {
+            object.setScrollFactor(0);
+            object.setDepth(3);
+            object.setVisible(false);
+        }
+
+        scene.input.on('pointerdown', this.onPointerDown, this);
+        scene.input.on('pointermove', this.onPointerMove, this);
+        scene.input.on('pointerup', this.onPointerUp, this);
+        scene.input.on('pointerupoutside', this.onPointerUp, this);
+    }
+
+    /**
+     * Only take touches during a run
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.release();
+        this.update();
+    }
+
+    /**
+     * Let go of everything (touches that end while the scene is paused are never reported)
+     */
+    release() {
+        this.movePointerId = null;
+        this.buttonPointerId = null;
+        this.inputManager.releaseTouchMove();
+    }
+
+    isFixed() {
+        return this.inputManager.settings.joystickMode === 'fixed';
+    }
+
+    /**
+     * Whether a screen x is on the joystick's half (the left half for right-handed play)
+     */
+    isMovementSide(x) {
+        const half = this.scene.scale.gameSize.width / 2;
+        return this.inputManager.settings.handedness === 'left' ? x >= half : x < half;
+    }
+
+    getFixedBasePosition() {
+        const { width, height } = this.scene.scale.gameSize;
+        const offset = EDGE_MARGIN + BASE_RADIUS;
+        const x = this.inputManager.settings.handedness === 'left' ? width - offset : offset;
+        return { x, y: height - offset };
+    }
+
+    getButtonPosition() {
+        const { width, height } = this.scene.scale.gameSize;
+        const offset = EDGE_MARGIN + BUTTON_RADIUS;
+        const x = this.inputManager.settings.handedness === 'left' ? offset : width - offset;
+        return { x, y: height - offset };
+    }
+
+    onPointerDown(pointer) {
+        if (pointer.wasTouch) this.touchSeen = true;
+        if (!this.enabled) return;
+
+        const button = this.getButtonPosition();
+        const onButton = Math.hypot(pointer.x - button.x, pointer.y - button.y) <= BUTTON_RADIUS;
+        if (this.touchSeen && onButton && this.buttonPointerId === null) {
+            this.buttonPointerId = pointer.id;
+            this.update();
+            this.inputManager.press(this.buttonAction);
+            return;
+        }
+
+        if (this.movePointerId !== null || !this.isMovementSide(pointer.x)) return;
+        this.movePointerId = pointer.id;
+        const origin = this.isFixed() ? this.getFixedBasePosition() : pointer;
+        this.origin.x = origin.x;
+        this.origin.y = origin.y;
+        this.moveKnob(pointer.x, pointer.y);
+    }
+
+    onPointerMove(pointer) {
+        if (pointer.id === this.movePointerId) {
+            this.moveKnob(pointer.x, pointer.y);
+        }
+    }
+
+    onPointerUp(pointer) {
+        if (pointer.id === this.movePointerId) {
+            this.movePointerId = null;
+            this.inputManager.releaseTouchMove();
+        }
+        if (pointer.id === this.buttonPointerId) {
+            this.buttonPointerId = null;
+        }
+        this.update();
+    }
+
+    /**
+     * Put the knob under the finger (clamped to the base) and report the movement:
+     * proportional to how far the knob is pushed, past the deadzone
+     */
+    moveKnob(x, y) {
+        const dx = x - this.origin.x;
+        const dy = y - this.origin.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        const travel = Math.min(dist, BASE_RADIUS);
+        const nx = dist > 0 ? dx / dist : 0;
+        const ny = dist > 0 ? dy / dist : 0;
+
+        this.knobX = this.origin.x + nx * travel;
+        this.knobY = this.origin.y + ny * travel;
+
+        const push = travel / BASE_RADIUS;
+        const speed = push > DEADZONE ? (push - DEADZONE) / (1 - DEADZONE) : 0;
+        this.inputManager.setTouchMove(nx * speed, ny * speed);
+        this.update();
+    }
+
+    /**
+     * Show, hide and place the controls for the current state and settings
+     */
+    update() {
+        if (!this.base) return;
+
+        const active = this.movePointerId !== null;
+        const showBase = this.enabled && (active || (this.isFixed() && this.touchSeen));
+        const base = active ? this.origin : this.getFixedBasePosition();
+        this.base.setPosition(base.x, base.y).setVisible(showBase);
+        this.knob.setPosition(active ? this.knobX : base.x, active ? this.knobY : base.y).setVisible(showBase);
+
+        const showButton = this.enabled && this.touchSeen;
+        const button = this.getButtonPosition();
+        this.button.setPosition(button.x, button.y).setVisible(showButton);
+        this.button.setFillStyle(0xffffff, this.buttonPointerId !== null ? 0.4 : 0.15);
+        this.buttonText.setPosition(button.x, button.y).setVisible(showButton);
+    }
+}
@@ -0,0 +1,223 @@
+/**
+ * Wave Director
+ * Decides when, how many and which enemies spawn in a single-player run:
+ * timed waves that ramp with wave number and player level, boss waves at
+ * milestones and short breathers between waves
+ */
+
+export const DIFFICULTY_PRESETS = {
+    easy: {
+        label: 'EASY',
+        spawnRate: 0.7, // multiplier on spawns per second
+        enemyHealth: 0.8,
+        groupBonus: 0,
+        bossEvery: 6
+    },
+    normal: {
+        label: 'NORMAL',
+        spawnRate: 1,
+        enemyHealth: 1,
+        groupBonus: 0,
+        bossEvery: 5
+    },
+    hard: {
+        label: 'HARD',
+        spawnRate: 1.4,
+        enemyHealth: 1.3,
+        groupBonus: 1,
+        bossEvery: 4
+    }
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+const WAVE_DURATION = 30; // seconds
+const BREATHER_DURATION = 5; // seconds between waves
+const BASE_SPAWN_INTERVAL = 1.2; // seconds between groups in wave 1 (the old fixed spawner)
+const MIN_SPAWN_INTERVAL = 0.35;
+const SPAWN_INTERVAL_DECAY = 0.92; // per wave
+const HEALTH_GROWTH = 0.08; // +8% enemy HP per wave
+
+// Wave in which each archetype starts appearing
+const UNLOCK_WAVE = {
+    grunt: 1,
+    runner: 2,
+    splitter: 3,
+    shooter: 3,
+    charger: 4,
+    tank: 5
+};
+
+export default class WaveDirector {
+    /**
+     * @param {Object} options
+     * @param {Function} options.spawn - (type, { healthMultiplier, groupIndex, groupSize, angle }) => enemy
+     * @param {Function} [options.pickType] - (weights) => archetype type
+     * @param {string} [options.difficulty]
+     */
+    constructor({ spawn, pickType, difficulty = DEFAULT_DIFFICULTY } = {}) {
+        this.spawn = spawn;
+        this.pickType = pickType;
+        this.setDifficulty(difficulty);
+        this.reset();
+    }
+
+    setDifficulty(difficulty) {
+        this.difficulty = DIFFICULTY_PRESETS[difficulty] ? difficulty : DEFAULT_DIFFICULTY;
+        this.preset = DIFFICULTY_PRESETS[this.difficulty];
+    }
+
+    /**
+     * Back to the first wave (new run)
+     */
+    reset() {
+        this.wave = 0;
+        this.phase = 'breather';
+        this.phaseTimer = 2; // seconds; short lead-in before wave 1
+        this.spawnTimer = 0;
+        this.elapsed = 0;
+        this.boss = null;
+    }
+
+    isBossWave(wave = this.wave) {
+        return wave > 0 && wave % this.preset.bossEvery === 0;
+    }
+
+    /**
+     * Advance the director
+     * @param {number} dt - Seconds since the last update (see FixedTimestep)
+     * @param {Object} context
+     * @param {number} context.playerLevel
+     */
+    update(dt, { playerLevel = 1 } = {}) {
+        this.elapsed += dt;
+        this.phaseTimer -= dt;
+
+        if (this.phase === 'breather') {
+            if (this.phaseTimer <= 0) {
+                this.startWave();
+            }
+            return;
+        }
+
+        // Boss waves last until the boss is down; regular waves are timed
+        const waveOver = this.isBossWave()
+            ? !this.boss || this.boss.isDead
+            : this.phaseTimer <= 0;
+        if (waveOver) {
+            this.phase = 'breather';
+            this.phaseTimer = BREATHER_DURATION;
+            this.boss = null;
+            return;
+        }
+
+        this.spawnTimer -= dt;
+        if (this.spawnTimer <= 0) {
+            this.spawnTimer += this.getSpawnInterval(playerLevel);
+            this.spawnGroup(playerLevel);
+        }
+    }
+
+    startWave() {
+        this.wave++;
+        this.phase = 'wave';
+        this.phaseTimer = WAVE_DURATION;
+        this.spawnTimer = 0;
+        if (this.isBossWave()) {
+            this.boss = this.spawn('boss', {
+                healthMultiplier: this.getHealthMultiplier(),
+                groupIndex: 0,
+                groupSize: 1,
+                angle: Math.random() * Math.PI * 2
+            });
+        }
+        console.log(`[WaveDirector] Wave ${this.wave}${this.isBossWave() ? ' (BOSS)' : ''} on ${this.difficulty}`);
+    }
+
+    /**
+     * Seconds between groups: faster every wave and as the player levels up
+     */
+    getSpawnInterval(playerLevel) {
+        const levelFactor = 1 - Math.min(0.3, (playerLevel - 1) * 0.02);
+        let interval = BASE_SPAWN_INTERVAL * Math.pow(SPAWN_INTERVAL_DECAY, this.wave - 1) * levelFactor;
+        if (this.isBossWave()) {
+            interval *= 2; // Fewer adds while the boss is up
+        }
+        return Math.max(MIN_SPAWN_INTERVAL, interval) / this.preset.spawnRate;
+    }
+
+    getGroupSize(playerLevel) {
+        return 1 + Math.floor((this.wave - 1) / 3) + Math.floor(playerLevel / 5) + this.preset.groupBonus;
+    }
+
+    getHealthMultiplier() {
+        return this.preset.enemyHealth * (1 + HEALTH_GROWTH * (this.wave - 1));
+    }
+
+    /**
+     * Spawn weights for this wave: new archetypes unlock over time, grunts thin out
+     */
+    getSpawnWeights() {
+        const weights = {};
+        for (const [type, unlockWave] of Object.entries(UNLOCK_WAVE)) {
+            weights[type] = this.wave >= unlockWave ? undefined : 0; // undefined = archetype default
+        }
+        weights.grunt = Math.max(1, 5 - (this.wave - 1) * 0.5);
+        return weights;
+    }
+
+    spawnGroup(playerLevel) {
+        const groupSize = this.getGroupSize(playerLevel);
+        const weights = this.getSpawnWeights();
+        const angle = Math.random() * Math.PI * 2;
+        for (let i = 0; i < groupSize; i++) {
+            this.spawn(this.pickType(weights), {
+                healthMultiplier: this.getHealthMultiplier(),
+                groupIndex: i,
+                groupSize,
+                angle
+            });
+        }
+    }
+
+    /**
+     * Text for the HUD
+     */
+    getStatusText() {
+        if (this.phase === 'breather') {
+            return `WAVE ${this.wave + 1} in ${Math.ceil(Math.max(0, this.phaseTimer))}s`;
+        }
+        return `WAVE ${this.wave}${this.isBossWave() ? ' BOSS' : ''}`;
+    }
+
+    /**
+     * Serializable state for save games (the boss itself is saved with the enemies)
+     */
+    getState() {
+        return {
+            difficulty: this.difficulty,
+            wave: this.wave,
+            phase: this.phase,
+            phaseTimer: this.phaseTimer,
+            spawnTimer: this.spawnTimer,
+            elapsed: this.elapsed
+        };
+    }
+
+    setState(state) {
+        this.setDifficulty(state.difficulty);
+        this.wave = state.wave;
+        this.phase = state.phase;
+        this.phaseTimer = state.phaseTimer;
+        this.spawnTimer = state.spawnTimer;
+        this.elapsed = state.elapsed;
+        this.boss = null;
+    }
+
+    /**
+     * Re-attach the boss after loading a save
+     */
+    setBoss(enemy) {
+        this.boss = enemy;
+    }
+}
@@ -0,0 +1,390 @@
+/**
+ * Weapon System
+ * Runs every weapon the local player holds: cooldowns, targeting and pooled visuals
+ * Weapon stats come from weapons.js; hits are reported through onHit so the
+ * scene decides whether damage is applied locally or sent to the server
+ * Works in world space; (centerX, centerY) is the player's world position
+ * update() advances one fixed simulation step, render() places the visuals
+ * between the last two steps
+ */
+
+import { WEAPONS, getWeaponStats } from './weapons.js';
+import { BASE_PLAYER_STATS } from './upgrades.js';
+
+const PULSE_LIFE = 0.33; // Seconds a pulse ring takes to expand and fade
+
+export default class WeaponSystem {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Object} options
+     * @param {Function} options.onHit - (enemy, damage, weaponId) => void
+     */
+    constructor(scene, { onHit } = {}) {
+        this.scene = scene;
+        this.onHit = onHit;
+        this.weapons = new Map(); // Map weapon id -> { id, level, stats, cooldown, ... }
+
+        // Pooled visuals
+        this.lines = [];
+        this.linePool = [];
+        this.projectiles = [];
+        this.projectilePool = [];
+        this.pulses = [];
+        this.pulsePool = [];
+        this.bladePool = [];
+
+        this.nearby = []; // Reused grid query results
+    }
+
+    /**
+     * Sync held weapons with the build
+     * @param {Object} levels - weapon id -> level (see getWeaponLevels)
+     * @param {Object} stats - player stats (see getBuildStats)
+     */
+    setWeapons(levels, stats) {
+        for (const [id, weapon] of this.weapons) {
+            if (!levels[id]) {
+                this.releaseBlades(weapon);
+                this.weapons.delete(id);
+            }
+        }
+        for (const [id, level] of Object.entries(levels)) {
+            if (!WEAPONS[id] || level < 1) continue;
+            let weapon = this.weapons.get(id);
+            if (!weapon) {
+                weapon = { id, level, cooldown: 0, angle: 0, prevAngle: 0, blades: [], hitTimers: new Map() };
+                this.weapons.set(id, weapon);
+            }
+            weapon.level = level;
+            weapon.stats = getWeaponStats(id, level, stats, BASE_PLAYER_STATS);
+        }
+    }
+
+    /**
+     * Drop all weapons and hide their visuals (new run)
+     */
+    reset() {
+        for (const weapon of this.weapons.values()) {
+            this.releaseBlades(weapon);
+        }
+        this.weapons.clear();
+        while (this.lines.length > 0) this.releaseLine(this.lines.length - 1);
+        while (this.projectiles.length > 0) this.releaseProjectile(this.projectiles.length - 1);
+        while (this.pulses.length > 0) this.releasePulse(this.pulses.length - 1);
+    }
+
+    /**
+     * Advance every weapon and its visuals by one simulation step
+     * @param {number} dt - Seconds
+     * @param {number} centerX - Player world position
+     * @param {number} centerY
+     * @param {{x: number, y: number}} aim - Unit aim direction
+     * @param {SpatialGrid} enemies - Live NPCEnemies, indexed for this step
+     */
+    update(dt, centerX, centerY, aim, enemies) {
+        const context = { dt, centerX, centerY, aim, enemies };
+        for (const weapon of this.weapons.values()) {
+            weapon.cooldown = Math.max(0, weapon.cooldown - dt);
+            WEAPON_BEHAVIOURS[WEAPONS[weapon.id].behaviour].call(this, weapon, context);
+        }
+        this.updateLines(dt);
+        this.updateProjectiles(context);
+        this.updatePulses(dt);
+    }
+
+    /**
+     * Place blades, bolts and pulses between the previous and current step
+     * @param {number} alpha - 0..1 through the current step (see FixedTimestep)
+     * @param {number} centerX - Player position as drawn
+     * @param {number} centerY
+     */
+    render(alpha, centerX, centerY) {
+        for (const weapon of this.weapons.values()) {
+            const angle = weapon.prevAngle + (weapon.angle - weapon.prevAngle) * alpha;
+            weapon.blades.forEach((blade, i) => {
+                const bladeAngle = angle + (Math.PI * 2 * i) / weapon.blades.length;
+                blade.setPosition(
+                    centerX + Math.cos(bladeAngle) * weapon.stats.range,
+                    centerY + Math.sin(bladeAngle) * weapon.stats.range
+                );
+            });
+        }
+        for (const projectile of this.projectiles) {
+            projectile.sprite.setPosition(
+                projectile.prevX + (projectile.x - projectile.prevX) * alpha,
+                projectile.prevY + (projectile.y - projectile.prevY) * alpha
+            );
+        }
+        for (const pulse of this.pulses) {
+            pulse.ring.setPosition(centerX, centerY);
+        }
+    }
+
+    /**
+     * HUD summary, e.g. "Zap 2 • Pulse 1"
+     */
+    getHudText() {
+        return Array.from(this.weapons.values())
+            .map(weapon => `${WEAPONS[weapon.id].label} ${weapon.level}`)
+            .join(' • ');
+    }
+
+    hit(enemy, damage, weaponId) {
+        this.onHit(enemy, damage, weaponId);
+    }
+
+    /**
+     * Live enemies within range of a point, closest first
+     */
+    findInRange(enemies, x, y, range, exclude = null) {
+        const found = [];
+        for (const enemy of enemies.query(x, y, range, this.nearby)) {
+            if (enemy.isDead || (exclude && exclude.has(enemy))) continue;
+            found.push({ enemy, dist: Math.hypot(enemy.x - x, enemy.y - y) });
+        }
+        found.sort((a, b) => a.dist - b.dist);
+        return found.map(entry => entry.enemy);
+    }
+
+    showLine(x1, y1, x2, y2, color, width = 6, life = 0.13) {
+        let line = this.linePool.pop();
+        if (line) {
+            line.setTo(x1, y1, x2, y2);
+            line.setVisible(true);
+        } else {
+            line = this.scene.add.line(0, 0, x1, y1, x2, y2, color, 1).setOrigin(0, 0);
+            line.setDepth(3);
+        }
+        line.setStrokeStyle(width, color, 1);
+        line.setLineWidth(width, width);
+        this.lines.push({ line, life });
+    }
+
+    updateLines(dt) {
+        for (let i = this.lines.length - 1; i >= 0; i--) {
+            this.lines[i].life -= dt;
+            if (this.lines[i].life <= 0) {
+                this.releaseLine(i);
+            }
+        }
+    }
+
+    releaseLine(index) {
+        const [{ line }] = this.lines.splice(index, 1);
+        line.setVisible(false);
+        this.linePool.push(line);
+    }
+
+    fireProjectile(weapon, x, y, dirX, dirY) {
+        const { size, speed, range, hits, damage } = weapon.stats;
+        const color = WEAPONS[weapon.id].color;
+        let sprite = this.projectilePool.pop();
+        if (sprite) {
+            sprite.setPosition(x, y);
+            sprite.setRadius(size);
+            sprite.setFillStyle(color);
+            sprite.setVisible(true);
+        } else {
+            sprite = this.scene.add.circle(x, y, size, color);
+            sprite.setDepth(2);
+        }
+        this.projectiles.push({
+            sprite,
+            x,
+            y,
+            prevX: x,
+            prevY: y,
+            weaponId: weapon.id,
+            vx: dirX * speed,
+            vy: dirY * speed,
+            radius: size,
+            damage,
+            pierce: hits,
+            life: range / speed,
+            hitEnemies: new Set()
+        });
+    }
+
+    updateProjectiles({ dt, enemies }) {
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const projectile = this.projectiles[i];
+            projectile.prevX = projectile.x;
+            projectile.prevY = projectile.y;
+            projectile.x += projectile.vx * dt;
+            projectile.y += projectile.vy * dt;
+            projectile.life -= dt;
+
+            for (const enemy of enemies.query(projectile.x, projectile.y, projectile.radius, this.nearby)) {
+                if (enemy.isDead || projectile.hitEnemies.has(enemy)) continue;
+                projectile.hitEnemies.add(enemy);
+                this.hit(enemy, projectile.damage, projectile.weaponId);
+                if (--projectile.pierce <= 0) break;
+            }
+
+            if (projectile.pierce <= 0 || projectile.life <= 0) {
+                this.releaseProjectile(i);
+            }
+        }
+    }
+
+    releaseProjectile(index) {
+        const [projectile] = this.projectiles.splice(index, 1);
+        projectile.sprite.setVisible(false);
+        this.projectilePool.push(projectile.sprite);
+    }
+
+    showPulse(x, y, radius, color) {
+        let ring = this.pulsePool.pop();
+        if (ring) {
+            ring.setPosition(x, y);
+            ring.setVisible(true);
+        } else {
+            ring = this.scene.add.circle(x, y, radius);
+            ring.setDepth(0);
+        }
+        ring.setRadius(radius);
+        ring.setStrokeStyle(4, color, 1);
+        ring.setScale(0.2);
+        ring.setAlpha(1);
+        this.pulses.push({ ring, life: PULSE_LIFE, maxLife: PULSE_LIFE });
+    }
+
+    updatePulses(dt) {
+        for (let i = this.pulses.length - 1; i >= 0; i--) {
+            const pulse = this.pulses[i];
+            pulse.life -= dt;
+            const t = 1 - Math.max(0, pulse.life) / pulse.maxLife;
+            pulse.ring.setScale(0.2 + 0.8 * t);
+            pulse.ring.setAlpha(1 - t);
+            if (pulse.life <= 0) {
+                this.releasePulse(i);
+            }
+        }
+    }
+
+    releasePulse(index) {
+        const [{ ring }] = this.pulses.splice(index, 1);
+        ring.setVisible(false);
+        this.pulsePool.push(ring);
+    }
+
+    releaseBlades(weapon) {
+        for (const blade of weapon.blades) {
+            blade.setVisible(false);
+            this.bladePool.push(blade);
+        }
+        weapon.blades = [];
+    }
+}
+
+/**
+ * Weapon behaviours, called with the WeaponSystem as `this` once per simulation step
+ */
+const WEAPON_BEHAVIOURS = {
+    // Instant hit on the closest enemies in range
+    zap(weapon, { centerX, centerY, enemies }) {
+        if (weapon.cooldown > 0) return;
+        const { range, hits, damage } = weapon.stats;
+        const targets = this.findInRange(enemies, centerX, centerY, range).slice(0, hits);
+        if (targets.length === 0) return;
+
+        for (const enemy of targets) {
+            this.hit(enemy, damage, weapon.id);
+            this.showLine(centerX, centerY, enemy.x, enemy.y, WEAPONS[weapon.id].color);
+        }
+        weapon.cooldown = weapon.stats.cooldown;
+    },
+
+    // Closest enemy, then the nearest not-yet-hit enemy from there, and so on
+    chain(weapon, { centerX, centerY, enemies }) {
+        if (weapon.cooldown > 0) return;
+        const { range, jumpRange, hits, damage } = weapon.stats;
+        const first = this.findInRange(enemies, centerX, centerY, range)[0];
+        if (!first) return;
+
+        const color = WEAPONS[weapon.id].color;
+        const struck = new Set();
+        let fromX = centerX;
+        let fromY = centerY;
+        let target = first;
+        while (target && struck.size < hits) {
+            struck.add(target);
+            this.hit(target, damage, weapon.id);
+            this.showLine(fromX, fromY, target.x, target.y, color, 4, 0.17);
+            fromX = target.x;
+            fromY = target.y;
+            target = this.findInRange(enemies, fromX, fromY, jumpRange, struck)[0];
+        }
+        weapon.cooldown = weapon.stats.cooldown;
+    },
+
+    // Blades spaced evenly around the player; each enemy can be hit once per cooldown
+    orbit(weapon, { dt, centerX, centerY, enemies }) {
+        const { count, spin, size, range, damage, cooldown } = weapon.stats;
+        const color = WEAPONS[weapon.id].color;
+        while (weapon.blades.length < count) {
+            let blade = this.bladePool.pop();
+            if (blade) {
+                blade.setVisible(true);
+            } else {
+                blade = this.scene.add.circle(centerX, centerY, size, color);
+                blade.setDepth(2);
+            }
+            blade.setRadius(size);
+            blade.setFillStyle(color);
+            weapon.blades.push(blade);
+        }
+
+        for (const [enemy, timer] of weapon.hitTimers) {
+            if (timer <= dt || enemy.isDead) {
+                weapon.hitTimers.delete(enemy);
+            } else {
+                weapon.hitTimers.set(enemy, timer - dt);
+            }
+        }
+
+        weapon.prevAngle = weapon.angle;
+        weapon.angle += spin * dt;
+        if (weapon.angle > Math.PI * 2) {
+            // Unwrapped together so render() can interpolate between them
+            weapon.angle -= Math.PI * 2;
+            weapon.prevAngle -= Math.PI * 2;
+        }
+        weapon.blades.forEach((blade, i) => {
+            const angle = weapon.angle + (Math.PI * 2 * i) / weapon.blades.length;
+            const bladeX = centerX + Math.cos(angle) * range;
+            const bladeY = centerY + Math.sin(angle) * range;
+            for (const enemy of enemies.query(bladeX, bladeY, size, this.nearby)) {
+                if (enemy.isDead || weapon.hitTimers.has(enemy)) continue;
+                weapon.hitTimers.set(enemy, cooldown);
+                this.hit(enemy, damage, weapon.id);
+            }
+        });
+    },
+
+    // Bolts along the aim direction, fanned out when there are several
+    projectile(weapon, { centerX, centerY, aim, enemies }) {
+        if (weapon.cooldown > 0 || enemies.count === 0) return;
+        const count = weapon.stats.count;
+        const baseAngle = Math.atan2(aim.y, aim.x);
+        for (let i = 0; i < count; i++) {
+            const angle = baseAngle + (i - (count - 1) / 2) * 0.2;
+            this.fireProjectile(weapon, centerX, centerY, Math.cos(angle), Math.sin(angle));
+        }
+        weapon.cooldown = weapon.stats.cooldown;
+    },
+
+    // Everything within range, when anything is in range
+    pulse(weapon, { centerX, centerY, enemies }) {
+        if (weapon.cooldown > 0) return;
+        const { range, hits, damage } = weapon.stats;
+        const targets = this.findInRange(enemies, centerX, centerY, range).slice(0, hits);
+        if (targets.length === 0) return;
+
+        for (const enemy of targets) {
+            this.hit(enemy, damage, weapon.id);
+        }
+        this.showPulse(centerX, centerY, range, WEAPONS[weapon.id].color);
+        weapon.cooldown = weapon.stats.cooldown;
+    }
+};
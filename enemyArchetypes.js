@@ -0,0 +1,145 @@
+/**
+ * Enemy Archetypes
+ * Data-driven enemy definitions: stats, EXP reward, visuals and which behaviour
+ * drives them (behaviours are implemented by NPCEnemy in script.js)
+ * Speeds are in px per second and timers in seconds; contactDamage is per touch
+ */
+
+export const DEFAULT_ARCHETYPE = 'grunt';
+
+export const ENEMY_ARCHETYPES = {
+    // The original orange enemy
+    grunt: {
+        radius: 30,
+        speed: 90,
+        maxHP: 20,
+        expReward: 10,
+        contactDamage: 0.7,
+        color: 0xff8800,
+        behaviour: 'chase',
+        spawnWeight: 5
+    },
+    // Fast and fragile
+    runner: {
+        radius: 18,
+        speed: 192,
+        maxHP: 8,
+        expReward: 6,
+        contactDamage: 0.5,
+        color: 0xffeb3b,
+        behaviour: 'chase',
+        spawnWeight: 3
+    },
+    // Slow, hits hard, takes a beating
+    tank: {
+        radius: 46,
+        speed: 48,
+        maxHP: 90,
+        expReward: 35,
+        contactDamage: 1.5,
+        color: 0x8d6e63,
+        behaviour: 'chase',
+        spawnWeight: 1
+    },
+    // Keeps its distance and fires projectiles
+    shooter: {
+        radius: 24,
+        speed: 78,
+        maxHP: 16,
+        expReward: 18,
+        contactDamage: 0.5,
+        color: 0xab47bc,
+        behaviour: 'ranged',
+        preferredRange: 260,
+        fireInterval: 2, // seconds between shots
+        projectile: {
+            speed: 240,
+            radius: 6,
+            damage: 8,
+            color: 0xe1bee7,
+            life: 3 // seconds
+        },
+        spawnWeight: 2
+    },
+    // Bursts into smaller enemies when killed
+    splitter: {
+        radius: 34,
+        speed: 72,
+        maxHP: 30,
+        expReward: 12,
+        contactDamage: 0.7,
+        color: 0x66bb6a,
+        behaviour: 'chase',
+        splitInto: { type: 'splitling', count: 3 },
+        spawnWeight: 2
+    },
+    // Only spawned by splitters
+    splitling: {
+        radius: 16,
+        speed: 132,
+        maxHP: 6,
+        expReward: 4,
+        contactDamage: 0.4,
+        color: 0xa5d6a7,
+        behaviour: 'chase',
+        spawnWeight: 0
+    },
+    // Stops, flashes, then dashes in a straight line
+    charger: {
+        radius: 28,
+        speed: 72,
+        maxHP: 26,
+        expReward: 20,
+        contactDamage: 1.0,
+        color: 0xef5350,
+        behaviour: 'charge',
+        chargeRange: 320, // starts winding up inside this distance
+        telegraphTime: 0.75, // seconds of warning before the dash
+        dashSpeed: 540,
+        dashTime: 0.5,
+        chargeCooldown: 2,
+        spawnWeight: 2
+    },
+    // Boss waves only (see WaveDirector)
+    boss: {
+        radius: 70,
+        speed: 60,
+        maxHP: 400,
+        expReward: 150,
+        contactDamage: 2.0,
+        color: 0xd32f2f,
+        behaviour: 'charge',
+        chargeRange: 420,
+        telegraphTime: 1,
+        dashSpeed: 420,
+        dashTime: 0.67,
+        chargeCooldown: 3,
+        spawnWeight: 0
+    }
+};
+
+/**
+ * Look up an archetype, falling back to the default for unknown types
+ */
+export function getArchetype(type) {
+    return ENEMY_ARCHETYPES[type] || ENEMY_ARCHETYPES[DEFAULT_ARCHETYPE];
+}
+
+/**
+ * Pick an archetype to spawn, weighted by spawnWeight
+ * @param {Object} [weights] - Overrides for spawnWeight by type
+ * @returns {string} archetype type
+ */
+export function pickArchetype(weights = {}, random = Math.random) {
+    const entries = Object.entries(ENEMY_ARCHETYPES)
+        .map(([type, archetype]) => [type, weights[type] ?? archetype.spawnWeight])
+        .filter(([, weight]) => weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+    let roll = random() * total;
+    for (const [type, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return type;
+    }
+    return DEFAULT_ARCHETYPE;
+}
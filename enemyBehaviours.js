@@ -0,0 +1,102 @@
+/**
+ * Enemy Behaviours
+ * How each archetype `behaviour` (see enemyArchetypes.js) moves and attacks, shared by
+ * single player (NPCEnemy in script.js) and the server (EnemySimulation)
+ * Enemies are anything with x, y, speed, archetype and the state from createBehaviourState;
+ * shots go through a fire callback so each side spawns projectiles its own way
+ */
+
+/**
+ * Per-enemy behaviour state (ranged fire timer, charger wind-up/dash), in seconds
+ */
+export function createBehaviourState(archetype) {
+    return {
+        fireTimer: archetype.fireInterval || 0,
+        chargeState: 'approach', // 'approach' | 'telegraph' | 'dash' | 'recover'
+        chargeTimer: 0,
+        chargeDir: { x: 0, y: 0 }
+    };
+}
+
+/**
+ * Step towards (positive distance) or away from (negative) the target
+ */
+export function moveToward(enemy, dx, dy, dist, distance) {
+    if (dist > 1) {
+        enemy.x += (dx / dist) * distance;
+        enemy.y += (dy / dist) * distance;
+    }
+}
+
+/**
+ * Behaviours by name; each gets the enemy, the offset/distance to its target,
+ * the step in seconds and fire(enemy, dirX, dirY, projectile)
+ */
+export const ENEMY_BEHAVIOURS = {
+    // Walk straight at the target
+    chase(enemy, dx, dy, dist, dt) {
+        moveToward(enemy, dx, dy, dist, enemy.speed * dt);
+    },
+
+    // Hold at preferred range and shoot
+    ranged(enemy, dx, dy, dist, dt, fire) {
+        const { preferredRange, fireInterval, projectile } = enemy.archetype;
+        if (dist > preferredRange + 30) {
+            moveToward(enemy, dx, dy, dist, enemy.speed * dt);
+        } else if (dist < preferredRange - 30) {
+            moveToward(enemy, dx, dy, dist, -enemy.speed * dt);
+        }
+
+        enemy.fireTimer -= dt;
+        if (enemy.fireTimer <= 0 && dist > 0 && dist < preferredRange * 1.5) {
+            enemy.fireTimer = fireInterval;
+            fire(enemy, dx / dist, dy / dist, projectile);
+        }
+    },
+
+    // Approach, stop (telegraph), dash along the locked direction, recover
+    charge(enemy, dx, dy, dist, dt) {
+        const { chargeRange, telegraphTime, dashSpeed, dashTime, chargeCooldown } = enemy.archetype;
+        switch (enemy.chargeState) {
+            case 'approach':
+                moveToward(enemy, dx, dy, dist, enemy.speed * dt);
+                if (dist < chargeRange && dist > 0) {
+                    enemy.chargeState = 'telegraph';
+                    enemy.chargeTimer = telegraphTime;
+                    enemy.chargeDir = { x: dx / dist, y: dy / dist };
+                }
+                break;
+            case 'telegraph':
+                enemy.chargeTimer -= dt;
+                if (enemy.chargeTimer <= 0) {
+                    enemy.chargeState = 'dash';
+                    enemy.chargeTimer = dashTime;
+                }
+                break;
+            case 'dash':
+                enemy.x += enemy.chargeDir.x * dashSpeed * dt;
+                enemy.y += enemy.chargeDir.y * dashSpeed * dt;
+                enemy.chargeTimer -= dt;
+                if (enemy.chargeTimer <= 0) {
+                    enemy.chargeState = 'recover';
+                    enemy.chargeTimer = chargeCooldown;
+                }
+                break;
+            case 'recover':
+                moveToward(enemy, dx, dy, dist, enemy.speed * dt);
+                enemy.chargeTimer -= dt;
+                if (enemy.chargeTimer <= 0) {
+                    enemy.chargeState = 'approach';
+                }
+                break;
+        }
+    }
+};
+
+/**
+ * Run an enemy's behaviour for one step
+ */
+export function updateBehaviour(enemy, dx, dy, dist, dt, fire) {
+    const behaviour = ENEMY_BEHAVIOURS[enemy.archetype.behaviour] || ENEMY_BEHAVIOURS.chase;
+    behaviour(enemy, dx, dy, dist, dt, fire);
+}
@@ -0,0 +1,251 @@
+/**
+ * Enemy Simulation Module
+ * Server-authoritative enemies for a single room
+ * Positions are in world space (the same space players report their x/y in)
+ * Spawns come in waves from the same WaveDirector as single player, boss waves included,
+ * and enemies move with the same archetypes and behaviours (enemyBehaviours.js)
+ * Shots are only announced (see getSnapshot): every client fires the projectile itself
+ * and checks it against its own player, like contact damage
+ */
+
+import { getArchetype, pickArchetype } from './enemyArchetypes.js';
+import { createBehaviourState, updateBehaviour } from './enemyBehaviours.js';
+import WaveDirector from './WaveDirector.js';
+import SpatialGrid from './SpatialGrid.js';
+
+const GRID_CELL_SIZE = 128; // px; spatial grid cell size for separation (as on the client)
+
+export class EnemySimulation {
+    constructor(options = {}) {
+        this.enemies = new Map(); // Map of enemyId -> enemy state
+        this.nextEnemyId = 1;
+        this.tick = 0;
+        this.players = []; // Players being targeted this step (spawns go around them)
+        this.waveDirector = new WaveDirector({
+            spawn: (type, spawnOptions) => this.spawnWaveEnemy(type, spawnOptions),
+            pickType: (weights) => pickArchetype(weights),
+            difficulty: options.difficulty
+        });
+        this.spawnDistance = options.spawnDistance || 700;
+        this.despawnDistance = options.despawnDistance || 2000;
+        this.maxEnemies = options.maxEnemies || 50;
+        this.attackRange = options.attackRange || 300;
+        this.playerRadius = options.playerRadius || 30;
+        this.contactOverlap = 4; // Enemies stop slightly inside the player so contact damage registers
+        this.grid = new SpatialGrid(GRID_CELL_SIZE);
+        this.shots = []; // Fired since the last snapshot: { enemyId, x, y, dx, dy }
+        this.fire = (enemy, dirX, dirY) => {
+            this.shots.push({ enemyId: enemy.id, x: enemy.x, y: enemy.y, dx: dirX, dy: dirY });
+        };
+    }
+
+    /**
+     * Advance the simulation
+     * @param {number} dt - Seconds since the last step
+     * @param {Array} players - Players enemies can target ({ id, x, y, level })
+     */
+    step(dt, players) {
+        this.tick++;
+
+        // Nobody left in a run: start over (the server doesn't step rooms whose players are only away)
+        if (players.length === 0) {
+            this.clear();
+            return;
+        }
+
+        // Waves ramp with the highest level in the room
+        this.players = players;
+        const playerLevel = Math.max(...players.map(player => player.level || 1));
+        this.waveDirector.update(dt, { playerLevel });
+
+        // Go after the nearest player, despawn when far from everyone
+        for (const enemy of this.enemies.values()) {
+            const nearest = this.findNearestPlayer(enemy, players);
+            if (!nearest || nearest.dist > this.despawnDistance) {
+                this.remove(enemy);
+                continue;
+            }
+            updateBehaviour(enemy, nearest.dx, nearest.dy, nearest.dist, dt, this.fire);
+            this.stopAtContact(enemy, nearest.player);
+        }
+
+        this.separate();
+    }
+
+    /**
+     * Keep an enemy from ending up inside a player: clients can't push server enemies
+     * back out, so they stop just close enough for contact damage to register
+     */
+    stopAtContact(enemy, player) {
+        const dx = enemy.x - player.x;
+        const dy = enemy.y - player.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        const stopDist = enemy.radius + this.playerRadius - this.contactOverlap;
+        if (dist < stopDist && dist > 0) {
+            enemy.x = player.x + (dx / dist) * stopDist;
+            enemy.y = player.y + (dy / dist) * stopDist;
+        }
+    }
+
+    /**
+     * WaveDirector spawn callback: groups spread around a random player
+     * Skipped at maxEnemies, except for the boss (its wave lasts until it dies)
+     */
+    spawnWaveEnemy(type, { healthMultiplier = 1, groupIndex = 0, groupSize = 1, angle = 0 } = {}) {
+        if (this.players.length === 0) return null;
+        if (type !== 'boss' && this.enemies.size >= this.maxEnemies) return null;
+
+        const target = this.players[Math.floor(Math.random() * this.players.length)];
+        const spread = (groupIndex - (groupSize - 1) / 2) * 0.15;
+        const enemy = this.spawnAt(
+            target.x + Math.cos(angle + spread) * this.spawnDistance,
+            target.y + Math.sin(angle + spread) * this.spawnDistance,
+            type
+        );
+        enemy.maxHp = Math.round(enemy.maxHp * healthMultiplier);
+        enemy.hp = enemy.maxHp;
+        return enemy;
+    }
+
+    spawnAt(x, y, type) {
+        const archetype = getArchetype(type);
+        const enemy = {
+            id: this.nextEnemyId++,
+            type,
+            archetype,
+            x,
+            y,
+            radius: archetype.radius,
+            speed: archetype.speed,
+            hp: archetype.maxHP,
+            maxHp: archetype.maxHP,
+            expReward: archetype.expReward,
+            isDead: false,
+            ...createBehaviourState(archetype)
+        };
+        this.enemies.set(enemy.id, enemy);
+        return enemy;
+    }
+
+    /**
+     * Burst a killed splitter into its smaller enemies
+     */
+    split(enemy) {
+        const split = getArchetype(enemy.type).splitInto;
+        if (!split) return;
+        for (let i = 0; i < split.count; i++) {
+            const angle = (Math.PI * 2 * i) / split.count;
+            this.spawnAt(
+                enemy.x + Math.cos(angle) * enemy.radius,
+                enemy.y + Math.sin(angle) * enemy.radius,
+                split.type
+            );
+        }
+    }
+
+    /**
+     * Find the closest player to an enemy
+     */
+    findNearestPlayer(enemy, players) {
+        let nearest = null;
+        for (const player of players) {
+            const dx = player.x - enemy.x;
+            const dy = player.y - enemy.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (!nearest || dist < nearest.dist) {
+                nearest = { player, dx, dy, dist };
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Push overlapping enemies apart (cluster repulsion)
+     */
+    separate() {
+        this.grid.rebuild(this.enemies.values());
+        this.grid.forEachOverlappingPair((a, b) => {
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist > 0) {
+                const overlap = a.radius + b.radius - dist;
+                const nx = dx / dist;
+                const ny = dy / dist;
+                a.x -= nx * (overlap / 2);
+                a.y -= ny * (overlap / 2);
+                b.x += nx * (overlap / 2);
+                b.y += ny * (overlap / 2);
+            }
+        });
+    }
+
+    /**
+     * Apply an attack intent from a player
+     * @param {number} [range] - Attack range to allow (upgrades can extend it)
+     * @returns {{ enemy: Object, killed: boolean } | null} null if the attack was rejected
+     */
+    applyAttack(player, enemyId, damage, range = this.attackRange) {
+        const enemy = this.enemies.get(enemyId);
+        if (!enemy) return null;
+
+        const dx = enemy.x - player.x;
+        const dy = enemy.y - player.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist > range + enemy.radius) return null;
+
+        enemy.hp -= damage;
+        if (enemy.hp <= 0) {
+            enemy.hp = 0;
+            this.remove(enemy);
+            this.split(enemy);
+            return { enemy, killed: true };
+        }
+        return { enemy, killed: false };
+    }
+
+    /**
+     * Take an enemy out of the simulation (marked dead so a boss wave can end)
+     */
+    remove(enemy) {
+        enemy.isDead = true;
+        this.enemies.delete(enemy.id);
+    }
+
+    /**
+     * Wave HUD text, e.g. 'WAVE 3' or 'WAVE 4 in 5s'
+     */
+    getWaveStatus() {
+        return this.waveDirector.getStatusText();
+    }
+
+    /**
+     * Get enemy state for broadcasting, with the shots fired since the last snapshot
+     */
+    getSnapshot() {
+        return {
+            tick: this.tick,
+            enemies: Array.from(this.enemies.values()).map(e => ({
+                id: e.id,
+                type: e.type,
+                x: Math.round(e.x * 10) / 10,
+                y: Math.round(e.y * 10) / 10,
+                hp: e.hp,
+                maxHp: e.maxHp,
+                radius: e.radius,
+                chargeState: e.chargeState
+            })),
+            shots: this.shots.splice(0)
+        };
+    }
+
+    /**
+     * Remove all enemies and start over from the first wave
+     */
+    clear() {
+        this.enemies.clear();
+        this.shots = [];
+        this.players = [];
+        this.waveDirector.reset();
+    }
+}
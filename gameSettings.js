@@ -0,0 +1,29 @@
+/**
+ * Game Settings
+ * Player preferences changed from the pause menu (saved by MainScene)
+ * Input settings (stick, rumble, joystick) live with InputManager instead
+ */
+
+export const DEFAULT_GAME_SETTINGS = {
+    volume: 0.8, // 0..1, master volume
+    screenShake: true, // Shake the camera when the player is hurt
+    showFps: false // FPS counter in the HUD
+};
+
+export const VOLUME_STEP = 0.1;
+
+/**
+ * Defaults with saved settings on top; anything malformed is dropped
+ */
+export function mergeGameSettings(saved) {
+    const settings = { ...DEFAULT_GAME_SETTINGS };
+    if (!saved || typeof saved !== 'object') return settings;
+
+    if (Number.isFinite(saved.volume)) {
+        settings.volume = Math.min(1, Math.max(0, saved.volume));
+    }
+    for (const key of ['screenShake', 'showFps']) {
+        if (typeof saved[key] === 'boolean') settings[key] = saved[key];
+    }
+    return settings;
+}
@@ -0,0 +1,168 @@
+/**
+ * Input Bindings
+ * Named input actions and the default keys and gamepad inputs bound to them
+ * (reading and rebinding is handled by InputManager)
+ *
+ * Every action has:
+ *   keys - KeyboardEvent.code values
+ *   pad  - standard-mapping gamepad inputs: 'button<index>' or 'axis<index>+' / 'axis<index>-'
+ */
+
+// In priority order: a press bound to several actions goes to the first one
+// that is handled (Enter confirms in menus and pauses during a run)
+export const INPUT_ACTIONS = [
+    { id: 'confirm', label: 'Confirm' },
+    { id: 'back', label: 'Back' },
+    { id: 'pause', label: 'Pause' },
+    { id: 'moveUp', label: 'Move up' },
+    { id: 'moveDown', label: 'Move down' },
+    { id: 'moveLeft', label: 'Move left' },
+    { id: 'moveRight', label: 'Move right' }
+];
+
+export const DEFAULT_BINDINGS = {
+    confirm: { keys: ['Enter', 'Space'], pad: ['button0', 'button9'] },
+    back: { keys: ['Escape'], pad: ['button1'] },
+    pause: { keys: ['Enter', 'Escape'], pad: ['button9'] },
+    moveUp: { keys: ['KeyW', 'ArrowUp'], pad: ['button12', 'axis1-'] },
+    moveDown: { keys: ['KeyS', 'ArrowDown'], pad: ['button13', 'axis1+'] },
+    moveLeft: { keys: ['KeyA', 'ArrowLeft'], pad: ['button14', 'axis0-'] },
+    moveRight: { keys: ['KeyD', 'ArrowRight'], pad: ['button15', 'axis0+'] }
+};
+
+export const AXIS_PRESS_THRESHOLD = 0.5; // Stick travel that counts as a press (menu navigation)
+export const REBIND_TIMEOUT = 5000; // ms to wait for a new binding before giving up
+
+// Player-adjustable input settings
+export const DEFAULT_INPUT_SETTINGS = {
+    stickDeadzone: 0.2, // Stick travel (0..1) ignored for movement
+    stickCurve: 1.5, // Response past the deadzone: 1 = linear, higher = finer control near the center
+    rumble: true, // Vibrate the gamepad when the player is hurt
+    joystickMode: 'floating', // 'floating': the joystick appears under the thumb, 'fixed': in a bottom corner
+    handedness: 'right' // 'right': joystick on the left, action button on the right; 'left' mirrors it
+};
+
+const SETTING_CHOICES = {
+    joystickMode: ['floating', 'fixed'],
+    handedness: ['right', 'left']
+};
+
+const SETTING_LIMITS = {
+    stickDeadzone: [0, 0.9],
+    stickCurve: [0.5, 3]
+};
+
+const PAD_INPUT_PATTERN = /^(?:button\d+|axis\d+[+-])$/;
+
+/**
+ * Parse a pad input id
+ * @returns {{ type: 'button', index: number } | { type: 'axis', index: number, sign: number } | null}
+ */
+export function parsePadInput(input) {
+    const button = /^button(\d+)$/.exec(input);
+    if (button) return { type: 'button', index: Number(button[1]) };
+    const axis = /^axis(\d+)([+-])$/.exec(input);
+    if (axis) return { type: 'axis', index: Number(axis[1]), sign: axis[2] === '+' ? 1 : -1 };
+    return null;
+}
+
+/**
+ * Defaults with saved overrides on top; unknown actions and malformed inputs are dropped
+ */
+export function mergeBindings(saved) {
+    const bindings = {};
+    for (const [action, defaults] of Object.entries(DEFAULT_BINDINGS)) {
+        const override = saved && typeof saved === 'object' ? saved[action] : null;
+        bindings[action] = {
+            keys: validList(override?.keys, code => typeof code === 'string' && code.length > 0) || [...defaults.keys],
+            pad: validList(override?.pad, input => typeof input === 'string' && PAD_INPUT_PATTERN.test(input)) || [...defaults.pad]
+        };
+    }
+    return bindings;
+}
+
+/**
+ * An action's inputs for one device with a new input in place of its first input of the same
+ * kind (key, gamepad button or stick direction); the others are kept, so rebinding a button
+ * leaves the stick alone. An input the action already has changes nothing
+ * @param {string[]} inputs
+ * @param {string} input
+ * @param {'keys'|'pad'} device
+ */
+export function replaceBinding(inputs, input, device) {
+    if (inputs.includes(input)) return [...inputs];
+
+    const kind = (value) => (device === 'pad' ? parsePadInput(value)?.type : 'key');
+    const index = inputs.findIndex(value => kind(value) === kind(input));
+    if (index === -1) return [...inputs, input];
+    return [...inputs.slice(0, index), input, ...inputs.slice(index + 1)];
+}
+
+/**
+ * Defaults with saved settings on top; numbers are clamped to their limits, unknown choices dropped
+ */
+export function mergeInputSettings(saved) {
+    const settings = { ...DEFAULT_INPUT_SETTINGS };
+    if (!saved || typeof saved !== 'object') return settings;
+
+    for (const [key, [min, max]] of Object.entries(SETTING_LIMITS)) {
+        if (Number.isFinite(saved[key])) {
+            settings[key] = Math.min(max, Math.max(min, saved[key]));
+        }
+    }
+    for (const [key, choices] of Object.entries(SETTING_CHOICES)) {
+        if (choices.includes(saved[key])) settings[key] = saved[key];
+    }
+    if (typeof saved.rumble === 'boolean') settings.rumble = saved.rumble;
+    return settings;
+}
+
+/**
+ * Apply the deadzone and response curve to a raw stick position
+ * The deadzone is radial, so small diagonal moves aren't snapped to an axis
+ * @returns {{x: number, y: number}} length 0..1
+ */
+export function applyStickResponse(x, y, { stickDeadzone, stickCurve }) {
+    const length = Math.sqrt(x * x + y * y);
+    if (length <= stickDeadzone) return { x: 0, y: 0 };
+
+    const travel = Math.min(1, (length - stickDeadzone) / (1 - stickDeadzone));
+    const scale = Math.pow(travel, stickCurve) / length;
+    return { x: x * scale, y: y * scale };
+}
+
+const KEY_NAMES = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Escape: 'Esc',
+    Space: 'Space'
+};
+
+// Standard-mapping button names (Xbox layout)
+const BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Select', 'Start', 'L3', 'R3', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'];
+const AXIS_NAMES = [['L-stick ←', 'L-stick →'], ['L-stick ↑', 'L-stick ↓'], ['R-stick ←', 'R-stick →'], ['R-stick ↑', 'R-stick ↓']];
+
+/**
+ * Short name for a KeyboardEvent.code, e.g. 'KeyW' -> 'W'
+ */
+export function describeKey(code) {
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    return code.replace(/^(Key|Digit|Numpad)/, '');
+}
+
+/**
+ * Short name for a pad input, e.g. 'button0' -> 'A', 'axis1-' -> 'L-stick ↑'
+ */
+export function describePadInput(input) {
+    const parsed = parsePadInput(input);
+    if (!parsed) return input;
+    if (parsed.type === 'button') return BUTTON_NAMES[parsed.index] || `Button ${parsed.index}`;
+    const names = AXIS_NAMES[parsed.index];
+    return names ? names[parsed.sign > 0 ? 1 : 0] : `Axis ${parsed.index}${parsed.sign > 0 ? '+' : '-'}`;
+}
+
+function validList(list, isValid) {
+    return Array.isArray(list) && list.every(isValid) ? [...list] : null;
+}
@@ -2,19 +2,60 @@
  * Multiplayer Module
  * Handles unique player identities, state synchronization, and network communication
  * Allows multiple unique players to share the same URL in a shared arena
+ * Players are grouped by room code; each room is a separate arena
  */
 
+import {
+    PROTOCOL_VERSION,
+    ENCODINGS,
+    ENEMY_SYNC_FIELDS,
+    EntityDeltaDecoder,
+    encodeMessage,
+    decodeMessage
+} from './protocol.js';
+
+export const DEFAULT_ROOM = 'lobby';
+
+/**
+ * Normalize a room code: lowercase, alphanumeric/dash/underscore, max 32 chars
+ * Must match normalizeRoomCode() in server.js
+ */
+export function normalizeRoomCode(code) {
+    if (typeof code !== 'string') return DEFAULT_ROOM;
+    const cleaned = code.trim().toLowerCase().replace(/[^a-z0-9_-]/g, '').substring(0, 32);
+    return cleaned || DEFAULT_ROOM;
+}
+
 export class MultiplayerManager {
     constructor(options = {}) {
         this.playerId = this.generateUniqueId();
         this.playerName = options.playerName || `Player_${this.playerId.substring(0, 6)}`;
+        this.dataStore = options.dataStore || new PlayerDataStore();
+        this.profile = this.dataStore.loadProfile(); // Last profile the server sent us
         this.players = new Map(); // Map of playerId -> PlayerState
+        this.roomCode = normalizeRoomCode(options.roomCode);
         this.wsUrl = options.wsUrl || this.getWebSocketUrl(options);
         this.ws = null;
         this.connected = false;
         this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 5;
-        this.reconnectDelay = 2000;
+        this.maxReconnectAttempts = 8;
+        this.reconnectBaseDelay = 500; // First retry delay, doubled on each attempt
+        this.maxReconnectDelay = 15000;
+        this.isReconnecting = false;
+        this.isAway = false; // Paused: other players see us as away and enemies leave us alone
+        this.closingIntentionally = false;
+        this.sessionToken = null; // Issued by the server on join, used to resume after a drop
+        this.clockOffset = 0; // Estimated serverTime - Date.now()
+        this.latency = 0; // Estimated one-way latency (ms)
+        this.clockSamples = []; // Recent { offset, rtt } measurements
+        this.maxClockSamples = 8;
+        // Wire encodings we offer at join ('json' only is handy for reading traffic in devtools)
+        this.encodings = options.protocol === 'json' ? ['json'] : ENCODINGS;
+        this.encoding = 'json'; // Negotiated per connection
+        this.enemyDecoder = new EntityDeltaDecoder(ENEMY_SYNC_FIELDS);
+        this.waveStatus = ''; // Wave HUD text from the server's enemy snapshots
+        this.difficulty = options.difficulty; // Preset asked for when our join creates a room
+        this.roomDifficulty = null; // The room's preset, fixed when the server created it
         this.listeners = new Map(); // Event listeners
         this.gameState = {
             arena: {
@@ -28,7 +69,8 @@ export class MultiplayerManager {
         
         // Cross-tab communication using BroadcastChannel API (for local testing without server)
         this.broadcastChannel = null;
-        this.channelName = options.channelName || 'thumb-game-multiplayer';
+        this.channelPrefix = options.channelName || 'thumb-game-multiplayer';
+        this.channelName = this.getChannelName();
         this.useLocalBroadcast = options.useLocalBroadcast !== false; // Default: true for local testing
         this.useWebSocket = options.useWebSocket !== false && this.wsUrl !== null; // Try WebSocket if URL provided
         
@@ -40,6 +82,13 @@ export class MultiplayerManager {
         }
     }
 
+    /**
+     * BroadcastChannel name for the current room
+     */
+    getChannelName() {
+        return `${this.channelPrefix}:${this.roomCode}`;
+    }
+
     /**
      * Generate a unique ID for this player
      */
@@ -92,24 +141,38 @@ export class MultiplayerManager {
         try {
             console.log(`[Multiplayer] Connecting to WebSocket server: ${this.wsUrl}`);
             this.ws = new WebSocket(this.wsUrl);
+            this.ws.binaryType = 'arraybuffer';
             
             this.ws.onopen = () => {
                 console.log('[Multiplayer] WebSocket connected');
                 this.connected = true;
                 this.reconnectAttempts = 0;
+                this.closingIntentionally = false;
+                this.encoding = 'json';
+                this.enemyDecoder.reset();
                 
-                // Send player join message
-                this.ws.send(JSON.stringify({
-                    type: 'playerJoined',
-                    playerId: this.playerId,
-                    playerName: this.playerName,
-                    color: this.players.get(this.playerId)?.color || this.generatePlayerColor()
-                }));
+                // Resume our previous session if we have one, otherwise join fresh
+                if (this.sessionToken) {
+                    this.sendToServer({
+                        type: 'resume',
+                        playerId: this.playerId,
+                        sessionToken: this.sessionToken,
+                        protocolVersion: PROTOCOL_VERSION,
+                        encodings: this.encodings
+                    });
+                } else {
+                    this.sendJoin();
+                }
+
+                // A few quick samples for an initial clock offset; heartbeats refine it
+                this.requestClockSync();
+                setTimeout(() => this.requestClockSync(), 500);
+                setTimeout(() => this.requestClockSync(), 1000);
             };
             
             this.ws.onmessage = (event) => {
                 try {
-                    const message = JSON.parse(event.data);
+                    const message = decodeMessage(event.data);
                     this.handleWebSocketMessage(message);
                 } catch (error) {
                     console.error('[Multiplayer] Error parsing WebSocket message:', error);
@@ -121,19 +184,64 @@ export class MultiplayerManager {
                 this.connected = false;
             };
             
-            this.ws.onclose = () => {
-                console.log('[Multiplayer] WebSocket disconnected');
+            this.ws.onclose = (event) => {
+                console.log(`[Multiplayer] WebSocket disconnected (code ${event.code}${event.reason ? `: ${event.reason}` : ''})`);
                 this.connected = false;
+
+                // We closed the socket ourselves (disconnect())
+                if (this.closingIntentionally) {
+                    this.closingIntentionally = false;
+                    return;
+                }
+
+                // This session was resumed by another connection: stay disconnected
+                if (event.code === 4002) {
+                    console.warn('[Multiplayer] Session resumed elsewhere');
+                    this.isReconnecting = false;
+                    this.emit('sessionReplaced', { reason: event.reason });
+                    return;
+                }
+
+                // Server speaks another protocol version: only a page refresh helps
+                if (event.code === 4003) {
+                    console.warn('[Multiplayer] Protocol version mismatch, falling back to BroadcastChannel');
+                    this.isReconnecting = false;
+                    this.sessionToken = null;
+                    this.setupBroadcastChannel();
+                    return;
+                }
+
+                // Kicked by an admin: stay disconnected
+                if (event.code === 4001) {
+                    console.warn(`[Multiplayer] Kicked by server${event.reason ? `: ${event.reason}` : ''}`);
+                    this.emit('kicked', { reason: event.reason });
+                    return;
+                }
+
+                // Server closed us for breaking its limits (policy violation / message too big);
+                // reconnecting would just get us closed again
+                if (event.code === 1008 || event.code === 1009) {
+                    console.warn('[Multiplayer] Disconnected by server policy, falling back to BroadcastChannel');
+                    this.emit('connectionRejected', { code: event.code, reason: event.reason });
+                    this.setupBroadcastChannel();
+                    return;
+                }
                 
-                // Attempt to reconnect
+                // Attempt to reconnect with exponential backoff
                 if (this.reconnectAttempts < this.maxReconnectAttempts) {
                     this.reconnectAttempts++;
-                    console.log(`[Multiplayer] Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
+                    const delay = this.getReconnectDelay();
+                    this.isReconnecting = true;
+                    console.log(`[Multiplayer] Attempting to reconnect in ${Math.round(delay)}ms (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
+                    this.emit('reconnecting', { attempt: this.reconnectAttempts, delay });
                     setTimeout(() => {
                         this.setupWebSocket();
-                    }, this.reconnectDelay);
+                    }, delay);
                 } else {
                     console.warn('[Multiplayer] Max reconnection attempts reached, falling back to BroadcastChannel');
+                    this.isReconnecting = false;
+                    this.sessionToken = null;
+                    this.emit('connectionLost', { playerId: this.playerId });
                     this.setupBroadcastChannel();
                 }
             };
@@ -144,20 +252,164 @@ export class MultiplayerManager {
         }
     }
 
+    /**
+     * Delay before the next reconnect attempt: exponential backoff with jitter
+     */
+    getReconnectDelay() {
+        const delay = Math.min(
+            this.reconnectBaseDelay * Math.pow(2, this.reconnectAttempts - 1),
+            this.maxReconnectDelay
+        );
+        // Randomize within [delay/2, delay] so clients don't all retry at once
+        return delay / 2 + Math.random() * (delay / 2);
+    }
+
+    /**
+     * Ask the server for its clock so remote snapshots can be placed on our timeline
+     */
+    requestClockSync() {
+        if (!this.isServerConnected()) return;
+
+        this.sendToServer({
+            type: 'clockSync',
+            clientTime: Date.now()
+        });
+    }
+
+    /**
+     * Record a clock sample; the lowest round-trip sample gives the best offset
+     */
+    handleClockSync(clientTime, serverTime) {
+        const now = Date.now();
+        const rtt = now - clientTime;
+        if (rtt < 0) return;
+
+        this.clockSamples.push({
+            offset: serverTime - (clientTime + rtt / 2),
+            rtt
+        });
+        if (this.clockSamples.length > this.maxClockSamples) {
+            this.clockSamples.shift();
+        }
+
+        const best = this.clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+        this.clockOffset = best.offset;
+        this.latency = best.rtt / 2;
+    }
+
+    /**
+     * Current time on the server's clock (Date.now() when there is no server)
+     */
+    getServerTime() {
+        return Date.now() + (this.isServerConnected() ? this.clockOffset : 0);
+    }
+
+    /**
+     * Send the join message for a fresh session
+     */
+    sendJoin() {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
+        this.sendToServer({
+            type: 'playerJoined',
+            playerId: this.playerId,
+            playerName: this.playerName,
+            color: this.players.get(this.playerId)?.color || this.generatePlayerColor(),
+            room: this.roomCode,
+            difficulty: this.difficulty,
+            profileKey: this.dataStore.getProfileKey(),
+            protocolVersion: PROTOCOL_VERSION,
+            encodings: this.encodings
+        });
+    }
+
+    /**
+     * Send a message to the server in the negotiated encoding
+     */
+    sendToServer(message) {
+        this.ws.send(encodeMessage(message, this.encoding));
+    }
+
     /**
      * Handle messages received from WebSocket server
      */
     handleWebSocketMessage(message) {
         switch (message.type) {
             case 'playersList':
-                // Server sent list of all current players
-                console.log(`[Multiplayer] Received players list: ${message.players.length} players`);
+                // Server sent list of all current players in our room
+                console.log(`[Multiplayer] Received players list for room ${message.room}: ${message.players.length} players`);
+                this.roomDifficulty = message.difficulty || null;
                 message.players.forEach((playerData) => {
                     if (playerData.id !== this.playerId) {
                         this.addRemotePlayer(playerData.id, playerData);
                     }
                 });
+
+                // Drop anyone who left while we were away
+                this.getRemotePlayers().forEach((player) => {
+                    if (!message.players.some(p => p.id === player.id)) {
+                        this.removePlayer(player.id);
+                    }
+                });
+                break;
+
+            case 'sessionStarted':
+                this.sessionToken = message.sessionToken;
+                this.isReconnecting = false;
+                this.encoding = message.encoding || 'json';
+                console.log(`[Multiplayer] Protocol v${message.protocolVersion}, ${this.encoding} encoding`);
+                this.setProfile(message.profile);
+                if (this.isAway) this.setAway(true);
+                break;
+
+            case 'profileUpdated':
+                this.setProfile(message.profile);
+                break;
+
+            case 'sessionResumed':
+                console.log(`[Multiplayer] Session resumed in room ${message.room}`);
+                this.isReconnecting = false;
+                this.encoding = message.encoding || 'json';
+                this.setProfile(message.profile);
+                // The server marks resumed sessions connected
+                if (this.isAway) this.setAway(true);
+                this.emit('sessionResumed', { playerId: message.playerId, room: message.room, state: message.state });
+                break;
+
+            case 'resumeFailed':
+                // Session expired on the server: start over as a new join with the same identity
+                console.warn(`[Multiplayer] Could not resume session: ${message.reason}`);
+                this.sessionToken = null;
+                this.getRemotePlayers().forEach((player) => {
+                    this.removePlayer(player.id);
+                });
+                this.sendJoin();
+                break;
+
+            case 'joinRejected': {
+                // Our id is still held by another session: take a new one
+                console.warn(`[Multiplayer] Join rejected: ${message.reason}`);
+                const previousId = this.playerId;
+                const localPlayer = this.players.get(previousId);
+                this.playerId = this.generateUniqueId();
+                if (localPlayer) {
+                    this.players.delete(previousId);
+                    localPlayer.id = this.playerId;
+                    this.players.set(this.playerId, localPlayer);
+                }
+                this.emit('playerIdChanged', { previousId, playerId: this.playerId });
+                this.sendJoin();
+                break;
+            }
+
+            case 'playerStatus': {
+                const player = this.players.get(message.playerId);
+                if (player) {
+                    player.status = message.status;
+                    this.emit('playerStatusChanged', { playerId: message.playerId, status: message.status });
+                }
                 break;
+            }
                 
             case 'remotePlayerAdded':
                 console.log(`[Multiplayer] Player joined via WebSocket: ${message.playerData.name}`);
@@ -165,13 +417,69 @@ export class MultiplayerManager {
                 break;
                 
             case 'remotePlayerUpdated':
-                this.updateRemotePlayer(message.playerId, message.player);
+                // Only changed fields; merged into what we already know about the player
+                this.updateRemotePlayer(message.playerId, message.changes, message.serverTime);
+                break;
+
+            case 'protocolMismatch':
+                console.warn(`[Multiplayer] Server speaks protocol v${message.serverVersion}, we speak v${PROTOCOL_VERSION}`);
+                this.emit('protocolMismatch', { serverVersion: message.serverVersion, message: message.message });
+                break;
+
+            case 'clockSync':
+                this.handleClockSync(message.clientTime, message.serverTime);
                 break;
                 
             case 'playerRemoved':
                 console.log(`[Multiplayer] Player left via WebSocket: ${message.playerId.substring(0, 8)}...`);
                 this.removePlayer(message.playerId);
                 break;
+
+            case 'stateCorrection':
+                // Server rejected or clamped part of our last stateUpdate
+                console.warn(`[Multiplayer] State corrected by server: ${message.reasons.join(', ')}`);
+                this.updateLocalPlayer(message.state);
+                this.emit('stateCorrection', { state: message.state, reasons: message.reasons });
+                break;
+
+            case 'inputAck':
+                // Authoritative position after the server applied our inputs up to seq
+                this.emit('inputAck', { seq: message.seq, x: message.x, y: message.y, serverTime: message.serverTime });
+                break;
+
+            case 'announcement':
+                this.emit('announcement', { message: message.message, sentAt: message.sentAt });
+                break;
+
+            case 'enemySnapshot':
+                // Deltas are rebuilt into the full enemy list
+                const enemies = this.enemyDecoder.apply({
+                    full: message.full,
+                    entities: message.enemies,
+                    removed: message.removed
+                });
+                // Only sent when it changes
+                if (message.waveStatus !== undefined) {
+                    this.waveStatus = message.waveStatus;
+                }
+                this.emit('enemySnapshot', { tick: message.tick, enemies, shots: message.shots || [] });
+                break;
+
+            case 'enemyHit':
+                this.emit('enemyHit', {
+                    enemyId: message.enemyId,
+                    attackerId: message.attackerId,
+                    hp: message.hp
+                });
+                break;
+
+            case 'enemyKilled':
+                this.emit('enemyKilled', {
+                    enemyId: message.enemyId,
+                    killerId: message.killerId,
+                    exp: message.exp
+                });
+                break;
         }
     }
 
@@ -188,15 +496,15 @@ export class MultiplayerManager {
                 
                 // Listen for messages from other tabs
                 this.broadcastChannel.onmessage = (event) => {
-                    const { type, data, fromPlayerId } = event.data;
+                    const { type, data, fromPlayerId, timestamp } = event.data;
                     
                     // Ignore messages from ourselves
                     if (fromPlayerId === this.playerId) return;
                     
-                    this.handleBroadcastMessage(type, data, fromPlayerId);
+                    this.handleBroadcastMessage(type, data, fromPlayerId, timestamp);
                 };
                 
-                console.log(`[Multiplayer] BroadcastChannel initialized for cross-tab communication`);
+                console.log(`[Multiplayer] BroadcastChannel initialized for cross-tab communication (${this.channelName})`);
             } else {
                 console.warn('[Multiplayer] BroadcastChannel not supported, using local events only');
             }
@@ -208,7 +516,7 @@ export class MultiplayerManager {
     /**
      * Handle messages received from other tabs via BroadcastChannel
      */
-    handleBroadcastMessage(type, data, fromPlayerId) {
+    handleBroadcastMessage(type, data, fromPlayerId, timestamp) {
         switch (type) {
             case 'playerJoined':
                 console.log(`[Multiplayer] Player joined from another tab: ${data.playerName} (${fromPlayerId.substring(0, 8)}...)`);
@@ -227,7 +535,8 @@ export class MultiplayerManager {
                 break;
                 
             case 'stateUpdate':
-                this.updateRemotePlayer(fromPlayerId, data.state);
+                // Tabs share this machine's clock, so the sender's timestamp is usable as-is
+                this.updateRemotePlayer(fromPlayerId, data.state, timestamp);
                 break;
                 
             case 'playerLeft':
@@ -291,12 +600,22 @@ export class MultiplayerManager {
             maxHp: 100,
             level: 1,
             exp: 0,
-            color: this.generatePlayerColor(),
+            color: this.profile?.color ?? this.generatePlayerColor(),
             lastUpdate: Date.now(),
             isAlive: true
         });
     }
 
+    /**
+     * Store the server's copy of our profile (name, color, best level, kills, play time)
+     */
+    setProfile(profile) {
+        if (!profile) return;
+        this.profile = profile;
+        this.dataStore.saveProfile(profile);
+        this.emit('profileUpdated', profile);
+    }
+
     /**
      * Generate a unique color for this player
      */
@@ -329,10 +648,11 @@ export class MultiplayerManager {
             
             // Send via WebSocket if connected
             if (this.connected && this.ws && this.ws.readyState === WebSocket.OPEN) {
-                this.ws.send(JSON.stringify({
+                this.sendToServer({
                     type: 'heartbeat',
                     playerId: this.playerId
-                }));
+                });
+                this.requestClockSync();
             } else {
                 // Fall back to BroadcastChannel
                 this.sendBroadcastMessage('heartbeat', {});
@@ -368,12 +688,7 @@ export class MultiplayerManager {
         
         // Send via WebSocket if connected
         if (this.connected && this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify({
-                type: 'playerJoined',
-                playerId: this.playerId,
-                playerName: this.playerName,
-                color: localPlayer.color
-            }));
+            this.sendJoin();
         } else {
             // Fall back to BroadcastChannel
             this.sendBroadcastMessage('playerJoined', {
@@ -382,7 +697,62 @@ export class MultiplayerManager {
             });
         }
         
-        console.log(`[Multiplayer] Player joined: ${this.playerName} (ID: ${this.playerId.substring(0, 8)}...)`);
+        console.log(`[Multiplayer] Player joined: ${this.playerName} (ID: ${this.playerId.substring(0, 8)}...) in room ${this.roomCode}`);
+    }
+
+    /**
+     * Switch to another room, leaving the current one first
+     */
+    joinRoom(code) {
+        const nextRoom = normalizeRoomCode(code);
+        if (nextRoom === this.roomCode && this.players.has(this.playerId)) {
+            return this.roomCode;
+        }
+
+        this.leaveRoom();
+        this.roomCode = nextRoom;
+        this.channelName = this.getChannelName();
+
+        if (!this.players.has(this.playerId)) {
+            this.registerLocalPlayer();
+        }
+
+        if (this.connected && this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.sendToServer({
+                type: 'joinRoom',
+                playerId: this.playerId,
+                room: this.roomCode,
+                difficulty: this.difficulty
+            });
+        } else if (this.useLocalBroadcast) {
+            this.setupBroadcastChannel();
+            this.broadcastPlayerJoined();
+        }
+
+        this.emit('roomChanged', { room: this.roomCode });
+        console.log(`[Multiplayer] Joined room: ${this.roomCode}`);
+        return this.roomCode;
+    }
+
+    /**
+     * Leave the current room and drop all remote players from it
+     */
+    leaveRoom() {
+        if (this.connected && this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.sendToServer({
+                type: 'leaveRoom',
+                playerId: this.playerId
+            });
+        } else if (this.broadcastChannel) {
+            this.sendBroadcastMessage('playerLeft', {});
+            this.broadcastChannel.close();
+            this.broadcastChannel = null;
+        }
+
+        this.getRemotePlayers().forEach((player) => {
+            this.removePlayer(player.id);
+        });
+        this.enemyDecoder.reset();
     }
 
     /**
@@ -399,6 +769,34 @@ export class MultiplayerManager {
         }
     }
 
+    /**
+     * Tell the server a new run started so it resets our validated state
+     */
+    startRun() {
+        if (!this.isServerConnected()) return false;
+
+        this.sendToServer({
+            type: 'runStarted',
+            playerId: this.playerId
+        });
+        return true;
+    }
+
+    /**
+     * Mark ourselves away (paused) or back; sent again after a reconnect
+     */
+    setAway(away) {
+        this.isAway = away;
+        if (!this.isServerConnected()) return false;
+
+        this.sendToServer({
+            type: 'playerStatus',
+            playerId: this.playerId,
+            status: away ? 'away' : 'connected'
+        });
+        return true;
+    }
+
     /**
      * Add or update a remote player
      */
@@ -420,8 +818,9 @@ export class MultiplayerManager {
 
     /**
      * Update a remote player's state
+     * @param {number} [serverTime] - When the state was sent, on the server's clock
      */
-    updateRemotePlayer(playerId, state) {
+    updateRemotePlayer(playerId, state, serverTime = this.getServerTime()) {
         if (playerId === this.playerId) return;
         
         const player = this.players.get(playerId);
@@ -430,7 +829,7 @@ export class MultiplayerManager {
                 ...state,
                 lastUpdate: Date.now()
             });
-            this.emit('remotePlayerUpdated', { playerId, player });
+            this.emit('remotePlayerUpdated', { playerId, player, serverTime });
         }
     }
 
@@ -489,11 +888,11 @@ export class MultiplayerManager {
         
         // Send via WebSocket if connected
         if (this.connected && this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify({
+            this.sendToServer({
                 type: 'stateUpdate',
                 playerId: this.playerId,
                 state: state
-            }));
+            });
         } else {
             // Fall back to BroadcastChannel
             this.sendBroadcastMessage('stateUpdate', {
@@ -502,6 +901,41 @@ export class MultiplayerManager {
         }
     }
 
+    /**
+     * Whether a game server is connected (enemies are then simulated server-side)
+     */
+    isServerConnected() {
+        return !!(this.connected && this.ws && this.ws.readyState === WebSocket.OPEN);
+    }
+
+    /**
+     * Send a batch of movement inputs ({ seq, dx, dy }) for the server to apply
+     */
+    sendInputs(inputs) {
+        if (!this.isServerConnected()) return false;
+
+        this.sendToServer({
+            type: 'input',
+            inputs: inputs
+        });
+        return true;
+    }
+
+    /**
+     * Ask the server to apply weapon hits to server-owned enemies
+     * @param {Array} hits - { enemyId, weapon, damage } per hit
+     */
+    sendAttack(hits) {
+        if (!this.isServerConnected() || hits.length === 0) return false;
+
+        this.sendToServer({
+            type: 'attack',
+            playerId: this.playerId,
+            hits: hits
+        });
+        return true;
+    }
+
     /**
      * Register an event listener
      */
@@ -563,7 +997,11 @@ export class MultiplayerManager {
         
         // Notify server/tabs that this player is leaving
         if (this.connected && this.ws && this.ws.readyState === WebSocket.OPEN) {
-            // Server will handle cleanup
+            // Leave explicitly so the server skips the resume grace period
+            this.sendToServer({
+                type: 'leaveRoom',
+                playerId: this.playerId
+            });
         } else if (this.broadcastChannel) {
             this.sendBroadcastMessage('playerLeft', {});
         }
@@ -574,10 +1012,13 @@ export class MultiplayerManager {
         }
         
         if (this.ws) {
+            this.closingIntentionally = true;
             this.ws.close();
             this.ws = null;
         }
         this.connected = false;
+        this.isReconnecting = false;
+        this.sessionToken = null;
         this.emit('disconnected', { playerId: this.playerId });
     }
 
@@ -587,6 +1028,7 @@ export class MultiplayerManager {
     getArenaState() {
         return {
             playerId: this.playerId,
+            room: this.roomCode,
             players: this.getAllPlayers().map(p => ({
                 id: p.id,
                 name: p.name,
@@ -653,6 +1095,48 @@ export class PlayerDataStore {
         }
     }
 
+    /**
+     * Secret key identifying this browser's profile on the server (created on first use)
+     */
+    getProfileKey() {
+        const key = `${this.storageKey}_profileKey`;
+        try {
+            let profileKey = localStorage.getItem(key);
+            if (!profileKey) {
+                const bytes = crypto.getRandomValues(new Uint8Array(16));
+                profileKey = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+                localStorage.setItem(key, profileKey);
+            }
+            return profileKey;
+        } catch (error) {
+            console.error('Error loading profile key:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Cache the server profile so the title screen can show it before connecting
+     */
+    saveProfile(profile) {
+        try {
+            localStorage.setItem(`${this.storageKey}_profile`, JSON.stringify(profile));
+        } catch (error) {
+            console.error('Error saving profile:', error);
+        }
+    }
+
+    /**
+     * Load the cached server profile
+     */
+    loadProfile() {
+        try {
+            return JSON.parse(localStorage.getItem(`${this.storageKey}_profile`) || 'null');
+        } catch (error) {
+            console.error('Error loading profile:', error);
+            return null;
+        }
+    }
+
     /**
      * Clear all player data
      */
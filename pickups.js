@@ -0,0 +1,71 @@
+/**
+ * Pickups
+ * Data-driven pickup definitions and drop tables (collection is handled by PickupManager)
+ * Speeds are in px per second
+ */
+
+export const PICKUP_TYPES = {
+    // EXP; value is the dead enemy's expReward, size and color come from GEM_TIERS
+    gem: {},
+    // Restores part of max HP
+    health: {
+        radius: 11,
+        color: 0xef5350,
+        healFraction: 0.25
+    },
+    // Pulls in every gem on the map
+    magnet: {
+        radius: 11,
+        color: 0xb0bec5
+    },
+    // Heavy damage to every (local) enemy on screen; enough for anything but a boss
+    bomb: {
+        radius: 12,
+        color: 0x212121,
+        damage: 200
+    }
+};
+
+// Bigger gems for bigger rewards, smallest first
+export const GEM_TIERS = [
+    { minValue: 0, radius: 6, color: 0x4fc3f7 },
+    { minValue: 15, radius: 8, color: 0x66bb6a },
+    { minValue: 50, radius: 11, color: 0xef5350 }
+];
+
+// Chance per kill of an extra drop next to the gem
+export const DROP_CHANCES = {
+    health: 0.02,
+    magnet: 0.01,
+    bomb: 0.01
+};
+
+export const ATTRACT_SPEED = 180; // px per second when a pickup starts moving toward the player
+export const ATTRACT_ACCELERATION = 1440; // px per second, per second
+
+/**
+ * Look of a gem worth `value` EXP
+ */
+export function getGemTier(value) {
+    let tier = GEM_TIERS[0];
+    for (const candidate of GEM_TIERS) {
+        if (value >= candidate.minValue) tier = candidate;
+    }
+    return tier;
+}
+
+/**
+ * Extra pickups dropped by a kill (the EXP gem always drops)
+ * @param {Object} [options]
+ * @param {string[]} [options.exclude] - Types that can't drop (e.g. bombs when the server owns enemies)
+ * @returns {string[]} pickup types
+ */
+export function rollDrops({ exclude = [] } = {}, random = Math.random) {
+    const drops = [];
+    for (const [type, chance] of Object.entries(DROP_CHANCES)) {
+        if (!exclude.includes(type) && random() < chance) {
+            drops.push(type);
+        }
+    }
+    return drops;
+}
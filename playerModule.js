@@ -4,6 +4,20 @@
  * Can be used for both local player and remote players
  */
 
+import { getBuildStats, BASE_PLAYER_STATS } from './upgrades.js';
+import { FIXED_STEP } from './FixedTimestep.js';
+
+// Label shown above a player (who is also faded) for every status but 'connected'
+const STATUS_LABELS = {
+    reconnecting: 'reconnecting...',
+    away: 'away'
+};
+
+// Animation timings, in seconds
+const SHOCK_TIME = 0.3;
+const DEATH_ANIM_TIME = 0.4;
+const BLINK_INTERVAL = 0.05;
+
 export class PlayerModule {
     constructor(scene, playerId, config = {}) {
         this.scene = scene;
@@ -19,6 +33,8 @@ export class PlayerModule {
         // Position (world space, not screen space)
         this.x = config.x || 0;
         this.y = config.y || 0;
+        this.prevX = this.x; // One simulation step ago, for drawing the local player between steps
+        this.prevY = this.y;
         
         // Stats
         this.stats = {
@@ -30,17 +46,27 @@ export class PlayerModule {
         this.nextLevelExp = config.nextLevelExp || 50;
         
         // Combat
-        this.attackCooldown = 0;
-        this.attackRate = config.attackRate || 60;
+        this.attackCooldown = 0; // seconds
+        this.attackRate = config.attackRate || BASE_PLAYER_STATS.attackRate; // seconds between attacks
         this.attackDamage = config.attackDamage || 10;
         this.attackRange = config.attackRange || 300;
+        this.build = {}; // Upgrade id -> times taken (see upgrades.js)
+        this.buildStats = getBuildStats(this.build);
         
         // State
         this.isDead = false;
         this.isActive = true;
         this.velocity = { x: 0, y: 0 };
+        this.connectionStatus = config.status || 'connected'; // 'connected' | 'reconnecting' | 'away'
+        this.statusText = null;
+
+        // Snapshot interpolation (remote players)
+        this.stateBuffer = []; // Timestamped { time, x, y }, oldest first
+        this.maxBufferSize = config.maxBufferSize || 30;
+        this.interpolationDelay = config.interpolationDelay || 100; // ms behind the newest snapshot
+        this.maxExtrapolation = config.maxExtrapolation || 250; // ms to dead-reckon past the newest snapshot
         
-        // Animations
+        // Animations (seconds)
         this.shockTimer = 0;
         this.deathAnimTimer = 0;
         
@@ -64,34 +90,161 @@ export class PlayerModule {
         this.sprite.setDepth(1);
         this.sprite.setData('playerId', this.playerId);
         this.sprite.setData('playerModule', this);
+        this.setConnectionStatus(this.connectionStatus);
+    }
+
+    /**
+     * Move the sprite (and status label) to the player's world position
+     */
+    syncSprite() {
+        if (!this.sprite) return;
+
+        this.sprite.setPosition(this.x, this.y);
+        if (this.statusText) {
+            this.statusText.setPosition(this.x, this.y - this.radius - 8);
+        }
+    }
+
+    /**
+     * Show whether this player is playing, being resumed or away (paused in multiplayer)
+     */
+    setConnectionStatus(status) {
+        this.connectionStatus = status;
+        if (!this.sprite || !this.scene) return;
+
+        const label = STATUS_LABELS[status];
+        this.sprite.setAlpha(label ? 0.4 : 1);
+
+        if (label && !this.statusText) {
+            this.statusText = this.scene.add.text(this.sprite.x, this.sprite.y - this.radius - 8, label, {
+                font: 'italic 12px Arial',
+                fill: '#cccccc',
+                align: 'center'
+            });
+            this.statusText.setOrigin(0.5, 1);
+            this.statusText.setDepth(2);
+        } else if (label) {
+            this.statusText.setText(label);
+        } else if (this.statusText) {
+            this.statusText.destroy();
+            this.statusText = null;
+        }
     }
 
     /**
      * Update player state
      * For remote players, use this to sync state from server
-     * For local players, this is called every frame
+     * For local players, this is called every simulation step
+     * @param {number} [deltaTime] - Seconds
      */
-    update(deltaTime = 1) {
+    update(deltaTime = FIXED_STEP) {
         if (!this.sprite || this.isDead) return;
 
         // Update sprite position
         this.sprite.setPosition(this.x, this.y);
 
         // Reduce cooldowns
-        if (this.attackCooldown > 0) {
-            this.attackCooldown--;
-        }
+        this.attackCooldown = Math.max(0, this.attackCooldown - deltaTime);
 
         // Update shock animation
         if (this.shockTimer > 0) {
-            this.shockTimer--;
-            if (this.shockTimer % 6 < 3) {
+            this.shockTimer = Math.max(0, this.shockTimer - deltaTime);
+            if (this.shockTimer > 0 && Math.floor(this.shockTimer / BLINK_INTERVAL) % 2 === 0) {
                 this.sprite.setFillStyle(0xffffff);
             } else {
                 this.sprite.setFillStyle(this.color);
             }
-            if (this.shockTimer === 0) {
-                this.sprite.setFillStyle(this.color);
+        }
+    }
+
+    /**
+     * Apply a networked state update; position goes into the interpolation buffer
+     * @param {number} timestamp - When the state was sent (server clock)
+     */
+    receiveSnapshot(state, timestamp) {
+        const { x, y, ...rest } = state;
+        this.setState(rest);
+
+        if (x !== undefined && y !== undefined) {
+            this.pushSnapshot(x, y, timestamp);
+        }
+    }
+
+    /**
+     * Add a timestamped position to the interpolation buffer
+     */
+    pushSnapshot(x, y, time) {
+        const buffer = this.stateBuffer;
+
+        // Keep the buffer ordered; late packets slot into place, duplicates are dropped
+        let index = buffer.length;
+        while (index > 0 && buffer[index - 1].time > time) {
+            index--;
+        }
+        if (index > 0 && buffer[index - 1].time === time) return;
+        buffer.splice(index, 0, { time, x, y });
+
+        if (buffer.length > this.maxBufferSize) {
+            buffer.shift();
+        }
+    }
+
+    /**
+     * Velocity (px/ms) between the two newest snapshots
+     */
+    getBufferedVelocity() {
+        const buffer = this.stateBuffer;
+        if (buffer.length < 2) return { x: 0, y: 0 };
+
+        const a = buffer[buffer.length - 2];
+        const b = buffer[buffer.length - 1];
+        const dt = b.time - a.time;
+        if (dt <= 0) return { x: 0, y: 0 };
+
+        return { x: (b.x - a.x) / dt, y: (b.y - a.y) / dt };
+    }
+
+    /**
+     * Set x/y to where this player was at renderTime - interpolationDelay
+     * Interpolates between buffered snapshots, extrapolating briefly when packets are late
+     * @param {number} renderTime - Current time on the server clock
+     */
+    updateInterpolation(renderTime) {
+        const buffer = this.stateBuffer;
+        if (buffer.length === 0) return;
+
+        const targetTime = renderTime - this.interpolationDelay;
+        const newest = buffer[buffer.length - 1];
+
+        if (targetTime >= newest.time) {
+            // Late: dead-reckon from the newest snapshot using its velocity
+            const ahead = Math.min(targetTime - newest.time, this.maxExtrapolation);
+            const velocity = this.getBufferedVelocity();
+            this.x = newest.x + velocity.x * ahead;
+            this.y = newest.y + velocity.y * ahead;
+            return;
+        }
+
+        if (targetTime <= buffer[0].time) {
+            this.x = buffer[0].x;
+            this.y = buffer[0].y;
+            return;
+        }
+
+        // Find the pair of snapshots around targetTime
+        for (let i = buffer.length - 1; i > 0; i--) {
+            const from = buffer[i - 1];
+            const to = buffer[i];
+            if (targetTime >= from.time) {
+                const t = (targetTime - from.time) / (to.time - from.time);
+                this.x = from.x + (to.x - from.x) * t;
+                this.y = from.y + (to.y - from.y) * t;
+
+                // Everything before `from` is no longer needed
+                if (i > 1) {
+                    buffer.splice(0, i - 1);
+                }
+                return;
             }
         }
     }
@@ -107,11 +260,13 @@ export class PlayerModule {
 
     /**
      * Apply velocity-based movement (for local player)
+     * @param {number} [speed] - px per second
+     * @param {number} [deltaTime] - Seconds
      */
-    applyVelocity(speed = 4) {
+    applyVelocity(speed = BASE_PLAYER_STATS.moveSpeed, deltaTime = FIXED_STEP) {
         if (this.velocity.x !== 0 || this.velocity.y !== 0) {
-            this.x += this.velocity.x * speed;
-            this.y += this.velocity.y * speed;
+            this.x += this.velocity.x * speed * deltaTime;
+            this.y += this.velocity.y * speed * deltaTime;
             this.lastUpdated = Date.now();
         }
     }
@@ -135,7 +290,7 @@ export class PlayerModule {
             this.stats.hp = 0;
             this.die();
         } else {
-            this.shockTimer = 18;
+            this.shockTimer = SHOCK_TIME;
             if (this.sprite) {
                 this.sprite.setFillStyle(0xffffff);
             }
@@ -155,30 +310,53 @@ export class PlayerModule {
 
     /**
      * Add experience
+     * @returns {number} levels gained
      */
     addExp(amount) {
         this.exp += amount;
         this.lastUpdated = Date.now();
 
         // Check for level up
+        let levels = 0;
         while (this.exp >= this.nextLevelExp) {
             this.levelUp();
+            levels++;
         }
+        return levels;
     }
 
     /**
      * Level up the player
+     * Stats only grow through the upgrade chosen for the level (applyUpgrade)
      */
     levelUp() {
         this.level++;
         this.exp -= this.nextLevelExp;
         this.nextLevelExp = Math.floor(50 * this.level);
-        this.attackDamage *= 1.5;
-        this.stats.maxHP = Math.floor(100 + (20 * (this.level - 1)));
-        this.stats.hp = this.stats.maxHP;
         this.lastUpdated = Date.now();
     }
 
+    /**
+     * Take an upgrade and recompute combat stats from the build; extra max HP comes already filled
+     */
+    applyUpgrade(upgradeId) {
+        this.setBuild({ ...this.build, [upgradeId]: (this.build[upgradeId] || 0) + 1 });
+        this.stats.hp += this.buildStats.maxHP - this.stats.maxHP;
+        this.stats.maxHP = this.buildStats.maxHP;
+        this.lastUpdated = Date.now();
+    }
+
+    /**
+     * Replace the build and recompute combat stats from it (HP is left as is)
+     */
+    setBuild(build) {
+        this.build = { ...build };
+        this.buildStats = getBuildStats(this.build);
+        this.attackRate = this.buildStats.attackRate;
+        this.attackRange = this.buildStats.attackRange;
+        this.attackDamage = this.buildStats.attackDamage;
+    }
+
     /**
      * Mark player as dead
      */
@@ -191,16 +369,17 @@ export class PlayerModule {
 
     /**
      * Update death animation
+     * @param {number} [deltaTime] - Seconds
      */
-    updateDeathAnimation() {
+    updateDeathAnimation(deltaTime = FIXED_STEP) {
         if (!this.isDead || !this.sprite) return;
 
-        this.deathAnimTimer++;
-        if (this.deathAnimTimer < 24) {
+        this.deathAnimTimer += deltaTime;
+        if (this.deathAnimTimer < DEATH_ANIM_TIME) {
             // Shake and blink
-            this.sprite.x += Math.sin(this.deathAnimTimer * 2) * 2;
-            this.sprite.y += Math.cos(this.deathAnimTimer * 3) * 2;
-            if (this.deathAnimTimer % 6 < 3) {
+            this.sprite.x += Math.sin(this.deathAnimTimer * 120) * 2;
+            this.sprite.y += Math.cos(this.deathAnimTimer * 180) * 2;
+            if (Math.floor(this.deathAnimTimer / BLINK_INTERVAL) % 2 === 0) {
                 this.sprite.setFillStyle(0xffffff);
             } else {
                 this.sprite.setFillStyle(this.color);
@@ -243,6 +422,19 @@ export class PlayerModule {
         return dist < minDist;
     }
 
+    /**
+     * Everything in a SpatialGrid this player is touching
+     * @param {SpatialGrid} grid - e.g. MainScene.enemyGrid
+     * @param {Array} [out] - Array to fill (reused to avoid garbage)
+     */
+    findCollisions(grid, out = []) {
+        grid.query(this.x, this.y, this.radius, out);
+        for (let i = out.length - 1; i >= 0; i--) {
+            if (out[i] === this || !this.checkCollision(out[i])) out.splice(i, 1);
+        }
+        return out;
+    }
+
     /**
      * Resolve collision with another player
      */
@@ -275,6 +467,16 @@ export class PlayerModule {
         }
     }
 
+    /**
+     * Take a new ID (the server had our old one in use); see PlayerRegistry.changeId
+     */
+    setPlayerId(playerId) {
+        this.playerId = playerId;
+        if (this.sprite) {
+            this.sprite.setData('playerId', playerId);
+        }
+    }
+
     /**
      * Get player state for serialization
      */
@@ -290,12 +492,22 @@ export class PlayerModule {
             exp: this.exp,
             nextLevelExp: this.nextLevelExp,
             attackDamage: this.attackDamage,
+            build: { ...this.build },
             isDead: this.isDead,
             isActive: this.isActive,
-            color: this.color
+            color: this.color,
+            status: this.connectionStatus
         };
     }
 
+    /**
+     * The part of getState() a client may report to the server (see STATE_SCHEMA in stateValidation.js)
+     */
+    getNetworkState() {
+        const { x, y, hp, maxHp, level, exp, isDead } = this.getState();
+        return { x, y, hp, maxHp, level, exp, isDead };
+    }
+
     /**
      * Update from serialized state
      */
@@ -308,8 +520,12 @@ export class PlayerModule {
         if (state.exp !== undefined) this.exp = state.exp;
         if (state.nextLevelExp !== undefined) this.nextLevelExp = state.nextLevelExp;
         if (state.attackDamage !== undefined) this.attackDamage = state.attackDamage;
+        if (state.build !== undefined) this.setBuild(state.build);
         if (state.isDead !== undefined) this.isDead = state.isDead;
         if (state.isActive !== undefined) this.isActive = state.isActive;
+        if (state.status !== undefined && state.status !== this.connectionStatus) {
+            this.setConnectionStatus(state.status);
+        }
         
         this.lastUpdated = Date.now();
     }
@@ -338,6 +554,10 @@ export class PlayerModule {
             this.sprite.destroy();
             this.sprite = null;
         }
+        if (this.statusText) {
+            this.statusText.destroy();
+            this.statusText = null;
+        }
         this.isActive = false;
     }
 }
@@ -368,6 +588,17 @@ export class PlayerRegistry {
         }
     }
 
+    /**
+     * Re-register a player under a new ID
+     */
+    changeId(previousId, playerId) {
+        const player = this.players.get(previousId);
+        if (!player) return;
+        this.players.delete(previousId);
+        player.setPlayerId(playerId);
+        this.players.set(playerId, player);
+    }
+
     /**
      * Get a player by ID
      */
@@ -375,6 +606,13 @@ export class PlayerRegistry {
         return this.players.get(playerId);
     }
 
+    /**
+     * Get the player controlled on this device (isLocal), if registered
+     */
+    getLocal() {
+        return this.getAll().find(player => player.isLocal) || null;
+    }
+
     /**
      * Get all players
      */
@@ -402,7 +640,7 @@ export class PlayerRegistry {
     updateAll(deltaTime) {
         this.getAll().forEach(player => {
             if (player.isDead) {
-                player.updateDeathAnimation();
+                player.updateDeathAnimation(deltaTime);
             } else {
                 player.update(deltaTime);
             }
@@ -0,0 +1,171 @@
+/**
+ * Profile Store Module
+ * Persistent player profiles for the server, kept in a JSON file on disk
+ * Profiles are keyed by a hash of the client's secret profile key, so the
+ * file never holds the keys themselves and playerIds (which are public) can't
+ * be used to claim someone else's profile
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const STORE_VERSION = 1;
+const MAX_PROFILE_KEY_LENGTH = 128;
+
+// Fields sent to the owning client
+const PUBLIC_FIELDS = ['name', 'color', 'bestLevel', 'totalKills', 'playTime', 'createdAt'];
+
+export class ProfileStore {
+    /**
+     * @param {string} filePath - JSON file to load from and save to
+     * @param {Object} [options]
+     * @param {number} [options.saveDelay] - ms to batch changes before writing
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.saveDelay = options.saveDelay || 5000;
+        this.profiles = new Map(); // Map of profile id -> profile
+        this.saveTimer = null;
+        this.saving = null; // Promise of the write in progress
+        this.dirty = false;
+    }
+
+    /**
+     * Read the file; a missing file is an empty store
+     */
+    load() {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`[ProfileStore] Could not read ${this.filePath}, starting empty:`, error.message);
+            }
+            return;
+        }
+
+        for (const [id, profile] of Object.entries(data.profiles || {})) {
+            this.profiles.set(id, profile);
+        }
+        console.log(`[ProfileStore] Loaded ${this.profiles.size} profiles from ${this.filePath}`);
+    }
+
+    /**
+     * Stable profile id for a client-held key, or null if the key is unusable
+     */
+    static idForKey(profileKey) {
+        if (typeof profileKey !== 'string' || profileKey.length < 16 || profileKey.length > MAX_PROFILE_KEY_LENGTH) {
+            return null;
+        }
+        return crypto.createHash('sha256').update(profileKey).digest('hex');
+    }
+
+    /**
+     * Load (or create) the profile for a joining player and record their current name/color
+     */
+    open(profileId, { name, color }) {
+        const now = Date.now();
+        let profile = this.profiles.get(profileId);
+        if (!profile) {
+            profile = {
+                name: name,
+                color: color,
+                bestLevel: 0,
+                totalKills: 0,
+                playTime: 0, // seconds spent in runs
+                createdAt: now,
+                lastSeenAt: now
+            };
+            this.profiles.set(profileId, profile);
+        }
+        profile.name = name;
+        profile.color = color;
+        profile.lastSeenAt = now;
+        this.markDirty();
+        return profile;
+    }
+
+    get(profileId) {
+        return this.profiles.get(profileId) || null;
+    }
+
+    /**
+     * Apply changes to a profile
+     */
+    update(profileId, changes) {
+        const profile = this.profiles.get(profileId);
+        if (!profile) return null;
+        Object.assign(profile, changes);
+        this.markDirty();
+        return profile;
+    }
+
+    /**
+     * The fields a client is allowed to see
+     */
+    static toPublic(profile) {
+        if (!profile) return null;
+        const result = {};
+        for (const key of PUBLIC_FIELDS) {
+            result[key] = profile[key];
+        }
+        return result;
+    }
+
+    markDirty() {
+        this.dirty = true;
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => {
+                this.saveTimer = null;
+                this.save();
+            }, this.saveDelay);
+        }
+    }
+
+    /**
+     * Write the file (via a temp file so a crash mid-write can't corrupt it)
+     */
+    async save() {
+        if (this.saving) {
+            await this.saving;
+        }
+        if (!this.dirty) return;
+        this.dirty = false;
+
+        const data = JSON.stringify({ version: STORE_VERSION, profiles: Object.fromEntries(this.profiles) });
+        const tempPath = `${this.filePath}.tmp`;
+        this.saving = (async () => {
+            try {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.promises.writeFile(tempPath, data);
+                await fs.promises.rename(tempPath, this.filePath);
+            } catch (error) {
+                this.dirty = true;
+                console.error(`[ProfileStore] Could not save ${this.filePath}:`, error.message);
+            } finally {
+                this.saving = null;
+            }
+        })();
+        await this.saving;
+    }
+
+    /**
+     * Write pending changes synchronously (process shutdown)
+     */
+    saveSync() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.dirty) return;
+        this.dirty = false;
+
+        const data = JSON.stringify({ version: STORE_VERSION, profiles: Object.fromEntries(this.profiles) });
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(`${this.filePath}.tmp`, data);
+            fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+        } catch (error) {
+            console.error(`[ProfileStore] Could not save ${this.filePath}:`, error.message);
+        }
+    }
+}
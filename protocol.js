@@ -0,0 +1,452 @@
+/**
+ * Protocol Module
+ * Wire format shared by server.js and multiplayer.js:
+ * version handshake, delta helpers, position quantization and the
+ * optional binary encoding (JSON stays available for debugging)
+ */
+
+// Bump whenever the wire format changes (including the tables below);
+// clients on another version are told to refresh
+export const PROTOCOL_VERSION = 8;
+
+// Encodings in order of preference
+export const ENCODINGS = ['binary', 'json'];
+
+export const POSITION_PRECISION = 10; // Positions travel in 1/10 px
+export const KEYFRAME_INTERVAL = 20; // Every Nth update carries all fields so late joiners converge
+
+// Per-tick fields of a player/enemy; name, color etc. only travel on join
+export const PLAYER_SYNC_FIELDS = ['x', 'y', 'hp', 'maxHp', 'level', 'exp', 'isDead', 'status'];
+export const ENEMY_SYNC_FIELDS = ['type', 'x', 'y', 'hp', 'maxHp', 'radius', 'chargeState'];
+
+const QUANTIZED_FIELDS = new Set(['x', 'y']);
+
+// Append-only tables: an entry's index is its wire id
+const MESSAGE_TYPES = [
+    'playerJoined', 'resume', 'joinRoom', 'leaveRoom', 'runStarted', 'stateUpdate',
+    'input', 'attack', 'clockSync', 'heartbeat', 'playersList', 'sessionStarted',
+    'sessionResumed', 'resumeFailed', 'joinRejected', 'playerStatus', 'remotePlayerAdded',
+    'remotePlayerUpdated', 'playerRemoved', 'stateCorrection', 'announcement',
+    'enemySnapshot', 'enemyHit', 'enemyKilled', 'inputAck', 'protocolMismatch',
+    'profileUpdated'
+];
+const KEYS = [
+    'type', 'playerId', 'playerName', 'playerData', 'player', 'players', 'changes', 'state',
+    'id', 'name', 'color', 'room', 'x', 'y', 'hp', 'maxHp', 'level', 'exp', 'isDead',
+    'isAlive', 'status', 'connectedAt', 'lastUpdate', 'lastStateAt', 'lastMoveAt',
+    'lastInputSeq', 'usesInputs', 'serverTime', 'clientTime', 'timestamp', 'tick', 'full',
+    'enemies', 'removed', 'radius', 'enemyId', 'attackerId', 'killerId', 'damage', 'seq',
+    'dx', 'dy', 'inputs', 'reasons', 'reason', 'message', 'sentAt', 'sessionToken',
+    'resumeGracePeriod', 'protocolVersion', 'encodings', 'encoding', 'serverVersion',
+    'profile', 'profileKey', 'bestLevel', 'totalKills', 'playTime', 'createdAt',
+    'hits', 'weapon', 'waveStatus', 'shots', 'chargeState',
+    'difficulty'
+];
+const MESSAGE_TYPE_IDS = new Map(MESSAGE_TYPES.map((type, i) => [type, i + 1]));
+const KEY_IDS = new Map(KEYS.map((key, i) => [key, i + 1]));
+
+// Binary value tags
+const TAG_NULL = 0;
+const TAG_FALSE = 1;
+const TAG_TRUE = 2;
+const TAG_INT = 3; // zigzag varint
+const TAG_FLOAT = 4; // float64
+const TAG_STRING = 5; // varint length + UTF-8
+const TAG_ARRAY = 6; // varint count + values
+const TAG_OBJECT = 7; // varint count + (key, value) pairs
+const TAG_QUANTIZED = 8; // zigzag varint of value * POSITION_PRECISION
+
+const MAX_DEPTH = 16;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Round a position to the precision it travels with
+ */
+export function quantize(value) {
+    return Math.round(value * POSITION_PRECISION) / POSITION_PRECISION;
+}
+
+/**
+ * Pick the first encoding we support from what the other side offered
+ */
+export function chooseEncoding(offered) {
+    if (!Array.isArray(offered)) return 'json';
+    return ENCODINGS.find(encoding => offered.includes(encoding)) || 'json';
+}
+
+/**
+ * Fields of `state` that differ from `baseline` (positions compared after quantizing)
+ * Updates `baseline` to match what was returned
+ * @param {boolean} [full] - Return every field, changed or not (keyframe)
+ */
+export function diffFields(baseline, state, fields, full = false) {
+    const changes = {};
+    for (const key of fields) {
+        if (!(key in state)) continue;
+        let value = state[key];
+        if (QUANTIZED_FIELDS.has(key) && typeof value === 'number') {
+            value = quantize(value);
+        }
+        if (full || baseline[key] !== value) {
+            changes[key] = value;
+            baseline[key] = value;
+        }
+    }
+    return changes;
+}
+
+/**
+ * Turns full entity lists (each with an `id`) into deltas against what was last sent
+ */
+export class EntityDeltaEncoder {
+    constructor(fields, keyframeInterval = KEYFRAME_INTERVAL) {
+        this.fields = fields;
+        this.keyframeInterval = keyframeInterval;
+        this.baselines = new Map(); // Map of id -> last sent fields
+        this.updates = 0;
+    }
+
+    /**
+     * @returns {{ full: boolean, entities: Object[], removed: Array }}
+     *   entities: id plus changed fields (all fields for new entities and keyframes)
+     *   removed: ids gone since the last update
+     */
+    encode(entities) {
+        const full = this.updates++ % this.keyframeInterval === 0;
+        const seen = new Set();
+        const changed = [];
+
+        for (const entity of entities) {
+            seen.add(entity.id);
+            let baseline = this.baselines.get(entity.id);
+            const isNew = !baseline;
+            if (isNew) {
+                baseline = {};
+                this.baselines.set(entity.id, baseline);
+            }
+            const changes = diffFields(baseline, entity, this.fields, full || isNew);
+            if (Object.keys(changes).length > 0) {
+                changed.push({ id: entity.id, ...changes });
+            }
+        }
+
+        const removed = [];
+        for (const id of this.baselines.keys()) {
+            if (!seen.has(id)) {
+                removed.push(id);
+                this.baselines.delete(id);
+            }
+        }
+
+        // A keyframe lists every entity, so removals are implied
+        return { full, entities: changed, removed: full ? [] : removed };
+    }
+
+    /**
+     * Everything as last sent, for a receiver that is just joining
+     */
+    getFullState() {
+        return Array.from(this.baselines, ([id, baseline]) => ({ id, ...baseline }));
+    }
+
+    reset() {
+        this.baselines.clear();
+        this.updates = 0;
+    }
+}
+
+/**
+ * Rebuilds full entity lists from EntityDeltaEncoder output
+ */
+export class EntityDeltaDecoder {
+    constructor(fields) {
+        this.fields = fields;
+        this.entities = new Map(); // Map of id -> entity
+    }
+
+    /**
+     * Apply one delta
+     * @returns {Object[]} every known entity after the update
+     */
+    apply({ full, entities = [], removed = [] }) {
+        if (full) {
+            this.entities.clear();
+        }
+        for (const id of removed) {
+            this.entities.delete(id);
+        }
+        for (const update of entities) {
+            const entity = this.entities.get(update.id);
+            if (entity) {
+                Object.assign(entity, update);
+            } else if (this.fields.every(key => key in update)) {
+                this.entities.set(update.id, { ...update });
+            }
+            // Otherwise it's a partial update for an entity we never saw; the next keyframe fills it in
+        }
+        return Array.from(this.entities.values());
+    }
+
+    reset() {
+        this.entities.clear();
+    }
+}
+
+/**
+ * Encode a message for the wire
+ * @returns {string|ArrayBuffer}
+ */
+export function encodeMessage(message, encoding = 'json') {
+    return encoding === 'binary' ? encodeBinary(message) : JSON.stringify(message);
+}
+
+/**
+ * Decode a message from the wire (text frames are JSON, binary frames use encodeBinary's format)
+ * @throws {Error} on malformed input
+ */
+export function decodeMessage(data) {
+    if (typeof data === 'string') {
+        return JSON.parse(data);
+    }
+    return decodeBinary(data);
+}
+
+class ByteWriter {
+    constructor(size = 256) {
+        this.bytes = new Uint8Array(size);
+        this.view = new DataView(this.bytes.buffer);
+        this.length = 0;
+    }
+
+    reserve(count) {
+        if (this.length + count <= this.bytes.length) return;
+        let size = this.bytes.length * 2;
+        while (size < this.length + count) size *= 2;
+        const bytes = new Uint8Array(size);
+        bytes.set(this.bytes.subarray(0, this.length));
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer);
+    }
+
+    byte(value) {
+        this.reserve(1);
+        this.bytes[this.length++] = value;
+    }
+
+    // Unsigned varint; arithmetic rather than bitwise so it is safe past 32 bits
+    varint(value) {
+        while (value >= 0x80) {
+            this.byte((value % 0x80) | 0x80);
+            value = Math.floor(value / 0x80);
+        }
+        this.byte(value);
+    }
+
+    zigzag(value) {
+        this.varint(value >= 0 ? value * 2 : -value * 2 - 1);
+    }
+
+    float(value) {
+        this.reserve(8);
+        this.view.setFloat64(this.length, value);
+        this.length += 8;
+    }
+
+    string(value) {
+        const encoded = textEncoder.encode(value);
+        this.varint(encoded.length);
+        this.reserve(encoded.length);
+        this.bytes.set(encoded, this.length);
+        this.length += encoded.length;
+    }
+
+    toArrayBuffer() {
+        return this.bytes.buffer.slice(0, this.length);
+    }
+}
+
+class ByteReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    byte() {
+        if (this.offset >= this.bytes.length) throw new Error('Unexpected end of message');
+        return this.bytes[this.offset++];
+    }
+
+    varint() {
+        let value = 0;
+        let scale = 1;
+        for (let i = 0; i < 8; i++) {
+            const byte = this.byte();
+            value += (byte & 0x7f) * scale;
+            if (byte < 0x80) return value;
+            scale *= 0x80;
+        }
+        throw new Error('Varint too long');
+    }
+
+    zigzag() {
+        const value = this.varint();
+        return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+    }
+
+    float() {
+        if (this.offset + 8 > this.bytes.length) throw new Error('Unexpected end of message');
+        const value = this.view.getFloat64(this.offset);
+        this.offset += 8;
+        return value;
+    }
+
+    string() {
+        const length = this.varint();
+        if (this.offset + length > this.bytes.length) throw new Error('Unexpected end of message');
+        const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return value;
+    }
+}
+
+function writeKey(writer, key) {
+    const id = KEY_IDS.get(key);
+    if (id) {
+        writer.varint(id);
+    } else {
+        writer.varint(0);
+        writer.string(key);
+    }
+}
+
+function readKey(reader) {
+    const id = reader.varint();
+    if (id === 0) return reader.string();
+    const key = KEYS[id - 1];
+    if (!key) throw new Error(`Unknown key id ${id}`);
+    return key;
+}
+
+function writeValue(writer, value, key, depth) {
+    if (depth > MAX_DEPTH) throw new Error('Message nested too deeply');
+
+    if (value === null || value === undefined) {
+        writer.byte(TAG_NULL);
+    } else if (value === false) {
+        writer.byte(TAG_FALSE);
+    } else if (value === true) {
+        writer.byte(TAG_TRUE);
+    } else if (typeof value === 'number') {
+        if (QUANTIZED_FIELDS.has(key) && Number.isFinite(value) &&
+            Number.isSafeInteger(Math.round(value * POSITION_PRECISION))) {
+            writer.byte(TAG_QUANTIZED);
+            writer.zigzag(Math.round(value * POSITION_PRECISION));
+        } else if (Number.isSafeInteger(value)) {
+            writer.byte(TAG_INT);
+            writer.zigzag(value);
+        } else if (Number.isFinite(value)) {
+            writer.byte(TAG_FLOAT);
+            writer.float(value);
+        } else {
+            // Same as JSON.stringify
+            writer.byte(TAG_NULL);
+        }
+    } else if (typeof value === 'string') {
+        writer.byte(TAG_STRING);
+        writer.string(value);
+    } else if (Array.isArray(value)) {
+        writer.byte(TAG_ARRAY);
+        writer.varint(value.length);
+        for (const item of value) {
+            writeValue(writer, item, null, depth + 1);
+        }
+    } else if (typeof value === 'object') {
+        const entries = Object.entries(value).filter(([, v]) => v !== undefined && typeof v !== 'function');
+        writer.byte(TAG_OBJECT);
+        writer.varint(entries.length);
+        for (const [k, v] of entries) {
+            writeKey(writer, k);
+            writeValue(writer, v, k, depth + 1);
+        }
+    } else {
+        writer.byte(TAG_NULL);
+    }
+}
+
+function readValue(reader, depth) {
+    if (depth > MAX_DEPTH) throw new Error('Message nested too deeply');
+
+    const tag = reader.byte();
+    switch (tag) {
+        case TAG_NULL: return null;
+        case TAG_FALSE: return false;
+        case TAG_TRUE: return true;
+        case TAG_INT: return reader.zigzag();
+        case TAG_FLOAT: return reader.float();
+        case TAG_STRING: return reader.string();
+        case TAG_QUANTIZED: return reader.zigzag() / POSITION_PRECISION;
+        case TAG_ARRAY: {
+            const count = reader.varint();
+            const array = [];
+            for (let i = 0; i < count; i++) {
+                array.push(readValue(reader, depth + 1));
+            }
+            return array;
+        }
+        case TAG_OBJECT: {
+            const count = reader.varint();
+            const object = {};
+            for (let i = 0; i < count; i++) {
+                const key = readKey(reader);
+                if (key === '__proto__') throw new Error('Invalid key');
+                object[key] = readValue(reader, depth + 1);
+            }
+            return object;
+        }
+        default:
+            throw new Error(`Unknown tag ${tag}`);
+    }
+}
+
+/**
+ * Binary layout: message type id (varint; 0 = type name follows as a string),
+ * then the remaining fields as a tagged object
+ * @returns {ArrayBuffer}
+ */
+export function encodeBinary(message) {
+    const writer = new ByteWriter();
+    const { type, ...fields } = message;
+    const typeId = MESSAGE_TYPE_IDS.get(type);
+    if (typeId) {
+        writer.varint(typeId);
+    } else {
+        writer.varint(0);
+        writer.string(String(type));
+    }
+    writeValue(writer, fields, null, 0);
+    return writer.toArrayBuffer();
+}
+
+/**
+ * @param {ArrayBuffer|ArrayBufferView} data
+ */
+export function decodeBinary(data) {
+    const bytes = data instanceof ArrayBuffer
+        ? new Uint8Array(data)
+        : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    const reader = new ByteReader(bytes);
+
+    const typeId = reader.varint();
+    const type = typeId === 0 ? reader.string() : MESSAGE_TYPES[typeId - 1];
+    if (!type) throw new Error(`Unknown message type id ${typeId}`);
+
+    const fields = readValue(reader, 0);
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw new Error('Message body must be an object');
+    }
+    if (reader.offset !== bytes.length) throw new Error('Trailing bytes after message');
+    return { type, ...fields };
+}
@@ -0,0 +1,66 @@
+/**
+ * Rate Limiter Module
+ * Token buckets for limiting how often a connection may send each message type
+ */
+
+export class TokenBucket {
+    /**
+     * @param {number} rate - Tokens added per second
+     * @param {number} burst - Maximum tokens held at once
+     */
+    constructor(rate, burst) {
+        this.rate = rate;
+        this.burst = burst;
+        this.tokens = burst;
+        this.lastRefill = Date.now();
+    }
+
+    /**
+     * Take a token if one is available
+     * @returns {boolean} false if the bucket is empty
+     */
+    take(now = Date.now()) {
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rate);
+        this.lastRefill = now;
+
+        if (this.tokens < 1) {
+            return false;
+        }
+        this.tokens -= 1;
+        return true;
+    }
+}
+
+/**
+ * One bucket per message type for a single connection
+ */
+export class MessageRateLimiter {
+    /**
+     * @param {Object} limits - Map of message type -> { rate, burst }; 'default' covers unlisted types
+     */
+    constructor(limits) {
+        this.limits = limits;
+        this.buckets = new Map();
+        this.violations = 0;
+    }
+
+    /**
+     * Check whether a message of this type may be processed now
+     */
+    allow(type, now = Date.now()) {
+        const key = Object.prototype.hasOwnProperty.call(this.limits, type) ? type : 'default';
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            const { rate, burst } = this.limits[key];
+            bucket = new TokenBucket(rate, burst);
+            this.buckets.set(key, bucket);
+        }
+
+        if (bucket.take(now)) {
+            return true;
+        }
+        this.violations++;
+        return false;
+    }
+}
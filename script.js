@@ -1,37 +1,91 @@
 import Phaser from 'phaser';
 import PauseOverlay from './PauseOverlay.js';
 import PauseManager from './PauseManager.js';
-import { MultiplayerManager, PlayerDataStore } from './multiplayer.js';
+import InputManager from './InputManager.js';
+import VirtualJoystick from './VirtualJoystick.js';
+import SaveManager from './SaveManager.js';
+import WaveDirector, { DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY } from './WaveDirector.js';
+import WeaponSystem from './WeaponSystem.js';
+import PickupManager from './PickupManager.js';
+import SpatialGrid from './SpatialGrid.js';
+import FixedTimestep, { FIXED_STEP } from './FixedTimestep.js';
+import { PICKUP_TYPES, rollDrops } from './pickups.js';
+import { INPUT_ACTIONS, REBIND_TIMEOUT, describeKey, describePadInput } from './inputBindings.js';
+import { VOLUME_STEP, mergeGameSettings } from './gameSettings.js';
+import { getArchetype, pickArchetype, DEFAULT_ARCHETYPE } from './enemyArchetypes.js';
+import { createBehaviourState, updateBehaviour } from './enemyBehaviours.js';
+import { BASE_PLAYER_STATS, getWeaponLevels, getUpgrade, rollUpgradeChoices, describeBuild } from './upgrades.js';
+import { getWeapon } from './weapons.js';
+import { MultiplayerManager, PlayerDataStore, DEFAULT_ROOM } from './multiplayer.js';
 import { PlayerModule, PlayerRegistry } from './playerModule.js';
 
 // Game Hub URL - change this to your actual deployed hub URL
 const HUB_URL = 'https://www.dreamdealer.dev';
 
+const MOVE_PER_STEP = BASE_PLAYER_STATS.moveSpeed * FIXED_STEP; // px per simulation step before upgrades; MOVE_PER_INPUT on the server
+const INPUT_SEND_INTERVAL = 50; // ms between movement input batches sent to the server
+const MAX_PENDING_INPUTS = 600; // ~10s of unacknowledged inputs (one per simulation step)
+const AUTOSAVE_INTERVAL = 10000; // ms between autosaves during a single-player run
+const ATTACK_SEND_INTERVAL = 50; // ms between batches of weapon hits sent to the server
+const ENEMY_GRID_CELL_SIZE = 128; // px; spatial grid cell size for enemy lookups
+const DEATH_ANIM_TIME = 0.4; // seconds an enemy shakes and blinks before it is removed
+const BLINK_INTERVAL = 0.05; // seconds per on/off phase of death blinking
+const HIT_RUMBLE_STRENGTH = 0.3; // Gamepad rumble for a hit, plus the fraction of max HP it took
+const HIT_RUMBLE_TIME = 120; // ms
+const DEATH_RUMBLE_TIME = 400; // ms
+const SHAKE_TIME = 150; // ms the camera shakes when the player is hurt (screen shake setting)
+const SHAKE_INTENSITY = 0.006;
+const CONTROLS_HINT = 'Select an action to rebind it';
+// Pause overlay subtitle for automatic pauses (see autoPause)
+const PAUSE_REASON_TEXT = {
+    hidden: 'Paused while the game was in the background',
+    blur: 'Paused because the window lost focus',
+    orientation: 'Paused because the screen rotated',
+    gamepadDisconnected: 'Paused because the controller disconnected'
+};
+const TELEGRAPH_BLINK = 0.083; // seconds per on/off phase of a charger's wind-up outline
+
 class MainScene extends Phaser.Scene {
     constructor() {
         super({ key: 'MainScene' });
         this.inTitleScreen = true;
         this.menuIndex = 0;
-        this.menuOptions = ['start', 'multiplayer', 'continue', 'hub'];
+        this.menuOptions = ['start', 'multiplayer', 'continue', 'difficulty', 'hub'];
+        this.difficulty = this.loadDifficulty();
+        this.settings = this.loadSettings();
         
         // Multiplayer system
         this.multiplayerManager = null;
         this.playerRegistry = new PlayerRegistry();
         this.playerDataStore = new PlayerDataStore();
+        this.saveManager = new SaveManager();
         this.localPlayer = null;
         this.remotePlayersMap = new Map(); // Map playerId -> PlayerModule
         this.isMultiplayer = false;
         this.lastStateBroadcast = 0; // Throttle state broadcasts
+        this.networkEnemies = new Map(); // Map enemyId -> NPCEnemy (server-owned enemies)
+        this.interpolationDelay = this.getInterpolationDelay(); // ms remote players render behind
+        this.showNetDebug = new URLSearchParams(window.location.search).has('debug');
+
+        // Client-side prediction (server-authoritative movement)
+        this.inputSequence = 0;
+        this.pendingInputs = []; // Inputs applied locally but not yet acknowledged by the server
+        this.inputBatch = []; // Inputs waiting to be sent
+        this.lastInputSend = 0;
+        this.runStartSequence = 0; // Acks at or below this belong to a previous run
+        this.lastCorrection = 0; // px, distance the last server ack moved us
+        this.maxCorrection = 0;
         
-        // Auto-attack system
-        this.attackCooldown = 0;
-        this.attackRate = 60; // frames per attack (1/sec at 60fps)
-        this.attackDamage = 10;
-        this.playerExp = 0;
-        this.playerLevel = 1;
-        this.nextLevelExp = 50;
-        this.attackLines = [];
-        this.attackLinePool = [];
+        // The local player's stats come from its upgrade build (see upgrades.js and WeaponSystem.js)
+        this.pendingUpgrades = 0; // Level ups still waiting for an upgrade choice
+        this.aimDir = { x: 1, y: 0 }; // Last movement direction; piercing bolts fire along it
+        this.pendingHits = []; // Hits on server-owned enemies waiting to be sent
+        this.lastAttackSend = 0;
+
+        // Live enemies, indexed each frame for separation, collisions and targeting
+        this.enemyGrid = new SpatialGrid(ENEMY_GRID_CELL_SIZE);
+        this.nearbyEnemies = []; // Reused query results
+        this.stressCount = this.getStressCount();
     }
 
     preload() {
@@ -66,6 +120,34 @@ class MainScene extends Phaser.Scene {
         return null;
     }
 
+    /**
+     * Get remote player interpolation delay from URL parameter (e.g., ?interpDelay=150)
+     */
+    getInterpolationDelay() {
+        const params = new URLSearchParams(window.location.search);
+        const delay = Number(params.get('interpDelay'));
+        return Number.isFinite(delay) && delay > 0 ? delay : 100;
+    }
+
+    /**
+     * Get stress test enemy count from URL parameter (e.g., ?stress=500)
+     * Single-player runs keep that many enemies alive, the player can't be hurt
+     * and the HUD shows FPS and entity count
+     */
+    getStressCount() {
+        const params = new URLSearchParams(window.location.search);
+        const count = Math.floor(Number(params.get('stress')));
+        return Number.isFinite(count) && count > 0 ? count : 0;
+    }
+
+    /**
+     * Get room code from URL parameter (e.g., ?room=abc)
+     */
+    getRoomCode() {
+        const params = new URLSearchParams(window.location.search);
+        return params.get('room') || DEFAULT_ROOM;
+    }
+
     /**
      * Initialize multiplayer system
      */
@@ -75,7 +157,11 @@ class MainScene extends Phaser.Scene {
             
             this.multiplayerManager = new MultiplayerManager({
                 playerName: this.getPlayerName(),
-                wsUrl: wsUrl  // Pass WebSocket URL (null = auto-detect)
+                wsUrl: wsUrl,  // Pass WebSocket URL (null = auto-detect)
+                roomCode: this.getRoomCode(),
+                difficulty: this.difficulty,
+                dataStore: this.playerDataStore,
+                protocol: new URLSearchParams(window.location.search).get('protocol') // ?protocol=json for readable traffic
             });
             
             await this.multiplayerManager.init();
@@ -92,6 +178,53 @@ class MainScene extends Phaser.Scene {
             this.multiplayerManager.on('playerRemoved', (data) => {
                 this.handlePlayerRemoved(data);
             });
+
+            this.multiplayerManager.on('playerIdChanged', (data) => {
+                this.handlePlayerIdChanged(data);
+            });
+
+            this.multiplayerManager.on('playerStatusChanged', (data) => {
+                const remotePlayer = this.remotePlayersMap.get(data.playerId);
+                if (remotePlayer) {
+                    remotePlayer.setConnectionStatus(data.status);
+                }
+            });
+
+            this.multiplayerManager.on('stateCorrection', (data) => {
+                this.handleStateCorrection(data);
+            });
+
+            this.multiplayerManager.on('announcement', (data) => {
+                this.showAnnouncement(data.message);
+            });
+
+            this.multiplayerManager.on('profileUpdated', (profile) => {
+                this.showProfile(profile);
+            });
+
+            this.multiplayerManager.on('protocolMismatch', (data) => {
+                this.showAnnouncement(data.message);
+            });
+
+            this.multiplayerManager.on('kicked', (data) => {
+                this.showAnnouncement(`Disconnected by server${data.reason ? `: ${data.reason}` : ''}`);
+            });
+
+            this.multiplayerManager.on('enemySnapshot', (data) => {
+                this.handleEnemySnapshot(data);
+            });
+
+            this.multiplayerManager.on('enemyHit', (data) => {
+                this.handleEnemyHit(data);
+            });
+
+            this.multiplayerManager.on('enemyKilled', (data) => {
+                this.handleEnemyKilled(data);
+            });
+
+            this.multiplayerManager.on('inputAck', (data) => {
+                this.handleInputAck(data);
+            });
             
             this.isMultiplayer = true;
             console.log(`Multiplayer initialized. Player ID: ${this.multiplayerManager.playerId}`);
@@ -103,11 +236,30 @@ class MainScene extends Phaser.Scene {
     }
 
     /**
-     * Get player name from URL or generate one
+     * Get player name from URL, the saved profile, or generate one
      */
     getPlayerName() {
         const params = new URLSearchParams(window.location.search);
-        return params.get('playerName') || `Player_${Math.random().toString(36).substr(2, 9)}`;
+        return params.get('playerName') ||
+            this.playerDataStore.loadProfile()?.name ||
+            `Player_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Show the player's server profile on the title screen
+     */
+    showProfile(profile) {
+        const el = document.getElementById('profile');
+        if (!el) return;
+        if (!profile) {
+            el.textContent = '';
+            return;
+        }
+
+        const minutes = Math.floor((profile.playTime || 0) / 60);
+        const playTime = minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+        el.textContent = `${profile.name} • Best LVL ${profile.bestLevel || 0} • ${profile.totalKills || 0} kills • ${playTime} played`;
+        el.style.color = `#${(profile.color ?? 0xffffff).toString(16).padStart(6, '0')}`;
     }
 
     /**
@@ -117,7 +269,8 @@ class MainScene extends Phaser.Scene {
         if (!this.remotePlayersMap.has(data.playerId)) {
             const remotePlayer = new PlayerModule(this, data.playerId, {
                 ...data.playerData,
-                isLocal: false
+                isLocal: false,
+                interpolationDelay: this.interpolationDelay
             });
             remotePlayer.create();
             this.remotePlayersMap.set(data.playerId, remotePlayer);
@@ -137,10 +290,19 @@ class MainScene extends Phaser.Scene {
     handleRemotePlayerUpdated(data) {
         const remotePlayer = this.remotePlayersMap.get(data.playerId);
         if (remotePlayer) {
-            remotePlayer.setState(data.player);
+            remotePlayer.receiveSnapshot(data.player, data.serverTime);
         }
     }
 
+    /**
+     * Our join was rejected and we joined again under a new ID
+     */
+    handlePlayerIdChanged(data) {
+        if (!this.localPlayer || this.localPlayer.playerId !== data.previousId) return;
+        this.playerRegistry.changeId(data.previousId, data.playerId);
+        console.log(`[MainScene] Local player ID changed to ${data.playerId.substring(0, 8)}...`);
+    }
+
     /**
      * Handle player removed
      */
@@ -154,40 +316,244 @@ class MainScene extends Phaser.Scene {
         }
     }
 
+    /**
+     * Handle authoritative values sent back by the server for our own state
+     */
+    handleStateCorrection(data) {
+        if (this.inTitleScreen || this.gameOver) return;
+
+        this.localPlayer.setState(data.state);
+    }
+
+    /**
+     * Record a movement input: applied locally now, sent to the server in batches
+     * One input per simulation step, so the server moves it the same distance
+     * @param {number} [speedScale] - Move speed relative to the base move speed
+     */
+    recordMovementInput(moveVec, speedScale = 1) {
+        if (!this.usesServerEnemies()) {
+            this.pendingInputs = [];
+            this.inputBatch = [];
+            return;
+        }
+
+        // Idle steps don't move the player, so they are never sent
+        if (moveVec.x !== 0 || moveVec.y !== 0) {
+            const input = { seq: ++this.inputSequence, dx: moveVec.x * speedScale, dy: moveVec.y * speedScale };
+            this.pendingInputs.push(input);
+            this.inputBatch.push(input);
+            if (this.pendingInputs.length > MAX_PENDING_INPUTS) {
+                this.pendingInputs.shift();
+            }
+        }
+
+        const now = Date.now();
+        if (this.inputBatch.length > 0 && now - this.lastInputSend >= INPUT_SEND_INTERVAL) {
+            this.multiplayerManager.sendInputs(this.inputBatch);
+            this.inputBatch = [];
+            this.lastInputSend = now;
+        }
+    }
+
+    /**
+     * Reconcile with the server: start from its authoritative position and
+     * replay the inputs it hasn't processed yet
+     */
+    handleInputAck(data) {
+        if (this.inTitleScreen || this.gameOver) return;
+        if (data.seq <= this.runStartSequence) return;
+
+        this.pendingInputs = this.pendingInputs.filter(input => input.seq > data.seq);
+
+        let x = data.x;
+        let y = data.y;
+        for (const input of this.pendingInputs) {
+            x += input.dx * MOVE_PER_STEP;
+            y += input.dy * MOVE_PER_STEP;
+        }
+
+        const correction = Math.hypot(x - this.localPlayer.x, y - this.localPlayer.y);
+        this.lastCorrection = correction;
+        this.maxCorrection = Math.max(this.maxCorrection, correction);
+        // Below 0.1px is just position quantization on the wire
+        if (correction > 0.1) {
+            if (this.showNetDebug && correction > 1) {
+                console.debug(`[MainScene] Prediction corrected by ${correction.toFixed(1)}px (ack ${data.seq}, ${this.pendingInputs.length} pending)`);
+            }
+            this.localPlayer.moveTo(x, y);
+        }
+    }
+
+    /**
+     * Show a server announcement banner at the top of the screen
+     */
+    showAnnouncement(message) {
+        let banner = document.getElementById('announcement');
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'announcement';
+            banner.style.cssText = `
+                position: fixed;
+                top: 56px;
+                left: 50%;
+                transform: translateX(-50%);
+                max-width: 80vw;
+                padding: 10px 20px;
+                background: rgba(0, 0, 0, 0.75);
+                border: 1px solid #4fc3f7;
+                border-radius: 6px;
+                color: #fff;
+                font-family: sans-serif;
+                font-size: 18px;
+                text-align: center;
+                z-index: 5000;
+                pointer-events: none;
+            `;
+            document.body.appendChild(banner);
+        }
+        banner.textContent = message;
+        banner.style.display = 'block';
+
+        clearTimeout(this.announcementTimeout);
+        this.announcementTimeout = setTimeout(() => {
+            banner.style.display = 'none';
+        }, 6000);
+    }
+
+    /**
+     * Whether enemies are owned by the game server instead of simulated locally
+     */
+    usesServerEnemies() {
+        return this.isMultiplayer && !!this.multiplayerManager && this.multiplayerManager.isServerConnected();
+    }
+
+    /**
+     * Handle enemy snapshot from the server: create, update and drop networked enemies
+     */
+    handleEnemySnapshot(data) {
+        if (this.inTitleScreen || this.gameOver || !this.usesServerEnemies()) return;
+
+        const seen = new Set();
+
+        for (const state of data.enemies) {
+            seen.add(state.id);
+            let enemy = this.networkEnemies.get(state.id);
+            if (!enemy) {
+                enemy = new NPCEnemy(this, state.x, state.y, state.type);
+                this.networkEnemies.set(state.id, enemy);
+                this.npcEnemies.push(enemy);
+            }
+            enemy.setNetworkState(state);
+        }
+
+        // Enemies missing from the snapshot were killed or despawned on the server
+        for (const [id, enemy] of this.networkEnemies) {
+            if (!seen.has(id)) {
+                enemy.killFromNetwork();
+                this.networkEnemies.delete(id);
+            }
+        }
+
+        // Server enemies' shots are fired here and checked against the local player
+        for (const shot of data.shots) {
+            const enemy = this.networkEnemies.get(shot.enemyId);
+            if (enemy) {
+                this.spawnEnemyProjectile(shot.x, shot.y, shot.dx, shot.dy, enemy.archetype.projectile);
+            }
+        }
+    }
+
+    /**
+     * Handle a server-confirmed hit on a networked enemy
+     */
+    handleEnemyHit(data) {
+        const enemy = this.networkEnemies.get(data.enemyId);
+        if (enemy && !enemy.isDead) {
+            enemy.stats.hp = data.hp;
+            enemy.flash();
+        }
+    }
+
+    /**
+     * Handle a networked enemy death; the killer gets the loot (only they see it)
+     */
+    handleEnemyKilled(data) {
+        const enemy = this.networkEnemies.get(data.enemyId);
+        if (enemy) {
+            enemy.killFromNetwork();
+            this.networkEnemies.delete(data.enemyId);
+        }
+        if (this.multiplayerManager && data.killerId === this.multiplayerManager.playerId &&
+            !this.gameOver && !this.inTitleScreen) {
+            const x = enemy ? enemy.x : this.localPlayer.x;
+            const y = enemy ? enemy.y : this.localPlayer.y;
+            this.dropLoot(x, y, data.exp);
+        }
+    }
+
     create() {
-        // Set up pause system with Enter/Return key and gamepad start button
+        // Set up pause system (the pause action: Enter/Esc, gamepad Start)
         this.isPaused = false;
+        this.isAway = false; // Paused in multiplayer: the shared world keeps running without us
         this.pauseManager = new PauseManager({
             getPaused: () => this.isPaused,
             setPaused: (paused) => {
                 this.isPaused = paused;
             },
-            onPause: () => {
-                console.log('[MainScene] ⏸️ GAME PAUSED');
-                this.scene.pause();
-                this.createPauseOverlay();
+            onPause: (context) => {
+                console.log(`[MainScene] ⏸️ GAME PAUSED${context?.reason ? ` (${context.reason})` : ''}`);
+                this.saveGame();
+                this.joystick.release();
+                if (this.isMultiplayer && this.multiplayerManager) {
+                    // Others can't be frozen with us; show as away instead
+                    this.isAway = true;
+                    this.multiplayerManager.setAway(true);
+                } else {
+                    this.scene.pause();
+                }
+                if (context?.reason === 'levelUp') {
+                    this.showUpgradeChoices();
+                } else {
+                    this.createPauseOverlay(context);
+                }
             },
             onResume: () => {
                 console.log('[MainScene] ▶️ GAME RESUMED');
-                this.scene.resume();
+                if (this.isAway) {
+                    this.isAway = false;
+                    this.multiplayerManager.setAway(false);
+                } else {
+                    this.scene.resume();
+                }
                 this.removePauseOverlay();
             }
         });
 
-        this.pauseOverlayManager = new PauseOverlay();
-
-        const returnKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.ENTER);
-        returnKey.on('down', () => {
-            this.toggleGamePause();
+        // Keyboard, touch and gamepad all come through named actions (see inputBindings.js)
+        this.inputManager = new InputManager({
+            onGamepadDisconnected: (wasPlaying) => {
+                if (wasPlaying) this.autoPause('gamepadDisconnected');
+            }
         });
+        this.inputManager.attach();
+        this.events.once('shutdown', () => this.inputManager.destroy());
+        this.setupAutoPause();
+
+        this.pauseOverlayManager = new PauseOverlay({ input: this.inputManager });
+        this.applySettings();
 
         const gameWidth = this.scale.gameSize.width;
         const gameHeight = this.scale.gameSize.height;
 
-        // Add background tile sprite
+        // Add background tile sprite (fixed to the screen; scrolled through its tile position)
         this.bg = this.add.tileSprite(0, 0, gameWidth, gameHeight, 'bg-pattern').setOrigin(0);
+        this.bg.setScrollFactor(0);
+        this.scale.on('resize', (gameSize) => {
+            this.bg.setSize(gameSize.width, gameSize.height);
+        });
 
-        // Initialize multiplayer system
+        // Initialize multiplayer system (the cached profile shows until the server sends ours)
+        this.showProfile(this.playerDataStore.loadProfile());
         this.initMultiplayer();
         
         // Expose multiplayer manager to window for console debugging
@@ -213,6 +579,25 @@ class MainScene extends Phaser.Scene {
                     return this.multiplayerManager.getLocalPlayer();
                 }
                 return null;
+            },
+            joinRoom: (code) => {
+                if (this.multiplayerManager) {
+                    return this.multiplayerManager.joinRoom(code);
+                }
+                return null;
+            },
+            getPrediction: () => {
+                return {
+                    sequence: this.inputSequence,
+                    pendingInputs: this.pendingInputs.length,
+                    lastCorrection: this.lastCorrection,
+                    maxCorrection: this.maxCorrection
+                };
+            },
+            leaveRoom: () => {
+                if (this.multiplayerManager) {
+                    this.multiplayerManager.leaveRoom();
+                }
             }
         };
         
@@ -221,106 +606,65 @@ class MainScene extends Phaser.Scene {
         console.log('  - window.multiplayerDebug.getRemotePlayers() - Get remote players');
         console.log('  - window.multiplayerDebug.logPlayers() - Log all players to console');
         console.log('  - window.multiplayerDebug.getLocalPlayer() - Get local player');
+        console.log('  - window.multiplayerDebug.joinRoom(code) - Switch to another room');
+        console.log('  - window.multiplayerDebug.leaveRoom() - Leave the current room');
+        console.log('  - window.multiplayerDebug.getPrediction() - Prediction/reconciliation stats (add ?debug to show in HUD)');
 
-        // Player is always centered
-        this.player = this.add.circle(
-            gameWidth / 2,
-            gameHeight / 2,
-            30,
-            0x4CAF50
-        );
-        this.player.setDepth(1);
-
-        // World offset (camera position)
-        this.worldOffset = new Phaser.Math.Vector2(0, 0);
-
-        // WASD keys
-        this.cursors = this.input.keyboard.addKeys({
-            up: Phaser.Input.Keyboard.KeyCodes.W,
-            down: Phaser.Input.Keyboard.KeyCodes.S,
-            left: Phaser.Input.Keyboard.KeyCodes.A,
-            right: Phaser.Input.Keyboard.KeyCodes.D
+        // The local player is a PlayerModule like everyone else; stats, level ups and
+        // the state sent to the server and saved all come from it
+        this.localPlayer = new PlayerModule(this, this.multiplayerManager ? this.multiplayerManager.playerId : 'local', {
+            isLocal: true,
+            name: this.multiplayerManager ? this.multiplayerManager.playerName : this.getPlayerName()
         });
+        this.localPlayer.create();
+        this.playerRegistry.register(this.localPlayer);
 
-        // Touch controls
-        this.touchStart = new Phaser.Math.Vector2();
-        this.touchCurrent = new Phaser.Math.Vector2();
-        this.isTouching = false;
-        this.touchMoveVec = new Phaser.Math.Vector2();
-
-        this.input.on('pointerdown', (pointer) => {
-            this.touchStart.set(pointer.x, pointer.y);
-            this.touchCurrent.set(pointer.x, pointer.y);
-            this.isTouching = true;
-        });
-        this.input.on('pointermove', (pointer) => {
-            if (this.isTouching) {
-                this.touchCurrent.set(pointer.x, pointer.y);
-            }
-        });
-        this.input.on('pointerup', () => {
-            this.isTouching = false;
-            this.touchMoveVec.set(0, 0);
-        });
+        // Everything lives in world space; the camera keeps the player centered
+        this.cameras.main.startFollow(this.localPlayer.sprite);
+        this.timestep = new FixedTimestep();
 
-        // Touch indicator
-        this.touchIndicator = this.add.circle(0, 0, 50, 0xffffff, 0.2);
-        this.touchIndicator.setVisible(false);
-        this.touchIndicator.setDepth(2);
+        // Touch controls: virtual joystick plus a pause button for a second finger
+        this.joystick = new VirtualJoystick(this, this.inputManager, { buttonAction: 'pause' });
+        this.joystick.create();
 
         // Aiming line
         this.aimLine = this.add.line(0, 0, 0, 0, 60, 0, 0xffe066, 1).setOrigin(0, 0.5);
         this.aimLine.setDepth(2);
         this.aimLine.setVisible(false);
 
-        // Player stats
-        this.playerStats = {
-            maxHP: 100,
-            hp: 100
-        };
-        // Player shock state
-        this.playerShockTimer = 0;
-        this.playerFlashStep = 0;
-        // Damage cooldown
-        this.playerDamageCooldown = 0;
-
         // Enemies array
         this.npcEnemies = [];
-        // Spawn timer
+        // Enemy projectiles (ranged archetypes)
+        this.enemyProjectiles = [];
+        this.enemyProjectilePool = [];
+        // Wave director decides what spawns (driven from update(), so it stops on the title screen and game over)
+        this.waveDirector = new WaveDirector({
+            spawn: (type, options) => this.spawnEnemy(type, options),
+            pickType: (weights) => pickArchetype(weights),
+            difficulty: this.difficulty
+        });
+
+        // Autosave (the timer stops while the scene is paused; pausing saves too)
         this.time.addEvent({
-            delay: 1200,
+            delay: AUTOSAVE_INTERVAL,
             loop: true,
-            callback: () => {
-                const angle = Phaser.Math.FloatBetween(0, Math.PI * 2);
-                const distance = Math.max(this.scale.gameSize.width, this.scale.gameSize.height) * 0.6 + 80;
-                const x = this.scale.gameSize.width / 2 + Math.cos(angle) * distance;
-                const y = this.scale.gameSize.height / 2 + Math.sin(angle) * distance;
-                const enemy = new NPCEnemy(this, x, y);
-                this.npcEnemies.push(enemy);
-            }
+            callback: () => this.saveGame()
         });
 
         this.gameOver = false;
         this.inTitleScreen = true;
         this.menuIndex = 0;
-        this.menuOptions = ['start', 'multiplayer', 'continue', 'hub'];
-        
-        // Gamepad support
-        this.gamepad = null;
-        this.gamepadButtonStates = {};
-        this.lastStickUp = false;
-        this.lastStickDown = false;
-        
+        this.menuOptions = ['start', 'multiplayer', 'continue', 'difficulty', 'hub'];
+
         this.updateTitleScreen();
-        this.setupMenuInput();
-        this.attackCooldown = 0;
-        this.attackRate = 60;
-        this.attackDamage = 10;
-        this.playerExp = 0;
-        this.playerLevel = 1;
-        this.nextLevelExp = 50;
-        this.attackLines = [];
-        this.attackLinePool = [];
+        this.setupInput();
+        this.pickupManager = new PickupManager(this, {
+            onCollect: (pickup) => this.collectPickup(pickup)
+        });
+        this.weaponSystem = new WeaponSystem(this, {
+            onHit: (enemy, damage, weaponId) => this.handleWeaponHit(enemy, damage, weaponId)
+        });
+        this.pendingUpgrades = 0;
     }
 
     toggleGamePause() {
@@ -332,25 +676,88 @@ class MainScene extends Phaser.Scene {
         this.pauseManager.toggle();
     }
 
-    createPauseOverlay() {
+    /**
+     * Pause on our own when the player can't be playing: the tab is hidden, the
+     * window loses focus, the screen rotates or the gamepad in use disconnects
+     */
+    setupAutoPause() {
+        const onVisibilityChange = () => {
+            if (document.hidden) this.autoPause('hidden');
+        };
+        const onBlur = () => this.autoPause('blur');
+        const onOrientationChange = () => this.autoPause('orientation');
+        const orientation = window.screen?.orientation;
+
+        document.addEventListener('visibilitychange', onVisibilityChange);
+        window.addEventListener('blur', onBlur);
+        if (orientation) {
+            orientation.addEventListener('change', onOrientationChange);
+        } else {
+            window.addEventListener('orientationchange', onOrientationChange);
+        }
+
+        this.events.once('shutdown', () => {
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+            window.removeEventListener('blur', onBlur);
+            if (orientation) {
+                orientation.removeEventListener('change', onOrientationChange);
+            } else {
+                window.removeEventListener('orientationchange', onOrientationChange);
+            }
+        });
+    }
+
+    /**
+     * Pause for a reason from PAUSE_REASON_TEXT; only during a run, and never over another pause
+     */
+    autoPause(reason) {
+        if (this.inTitleScreen || this.gameOver || this.pauseManager.isPaused()) return;
+        this.pauseManager.pause({ reason });
+    }
+
+    /**
+     * @param {Object} [context] - The pause context; its reason picks the subtitle
+     */
+    createPauseOverlay(context) {
         if (!this.pauseOverlayManager) {
-            this.pauseOverlayManager = new PauseOverlay();
+            this.pauseOverlayManager = new PauseOverlay({ input: this.inputManager });
         }
 
+        const build = this.inTitleScreen ? '' : describeBuild(this.localPlayer.build);
+        const subtitle = [
+            PAUSE_REASON_TEXT[context?.reason],
+            this.isAway ? 'The game goes on; other players see you as away' : ''
+        ].filter(Boolean).join('<br>');
         this.pauseOverlayManager.show({
             id: 'game-pause-overlay',
             title: 'PAUSED',
+            subtitle,
+            hint: build ? `Build: ${build}` : '',
             zIndex: 9999,
             background: 'rgba(0, 0, 0, 0.8)',
             options: [
                 { id: 'resume', label: 'RESUME' },
                 {
-                    id: 'hub',
-                    label: 'HUB',
-                    onSelect: () => {
-                        window.location.href = 'https://www.dreamdealer.dev';
-                    }
-                }
+                    id: 'restart',
+                    label: 'RESTART RUN',
+                    submenu: () => ({
+                        title: 'RESTART?',
+                        subtitle: 'This run will be lost',
+                        options: [{ id: 'confirmRestart', label: 'RESTART', onSelect: () => this.restartRun() }]
+                    })
+                },
+                { id: 'settings', label: 'SETTINGS', submenu: () => this.getSettingsMenu() },
+                { id: 'controls', label: 'CONTROLS', submenu: () => this.getControlsMenu() },
+                {
+                    id: 'quit',
+                    label: 'QUIT TO TITLE',
+                    submenu: () => ({
+                        title: 'QUIT?',
+                        subtitle: this.isMultiplayer ? '' : 'The run is saved; CONTINUE picks it up',
+                        options: [{ id: 'confirmQuit', label: 'QUIT TO TITLE', onSelect: () => this.quitToTitle() }]
+                    })
+                },
+                { id: 'hub', label: 'HUB', onSelect: () => this.goToHub() }
             ],
             selectedIndex: 0,
             onResume: () => {
@@ -360,70 +767,287 @@ class MainScene extends Phaser.Scene {
         });
     }
 
+    /**
+     * Pause menu > Settings; changes apply right away and are saved
+     */
+    getSettingsMenu() {
+        const onOff = (value) => (value ? 'ON' : 'OFF');
+        return {
+            title: 'SETTINGS',
+            options: [
+                {
+                    id: 'volume',
+                    label: 'VOLUME',
+                    value: () => `${Math.round(this.settings.volume * 100)}%`,
+                    onAdjust: (step) => this.setSetting('volume', Math.round((this.settings.volume + step * VOLUME_STEP) * 100) / 100)
+                },
+                {
+                    id: 'screenShake',
+                    label: 'SCREEN SHAKE',
+                    value: () => onOff(this.settings.screenShake),
+                    onAdjust: () => this.setSetting('screenShake', !this.settings.screenShake)
+                },
+                { id: 'controlScheme', label: 'CONTROL SCHEME', submenu: () => this.getControlSchemeMenu() },
+                {
+                    id: 'showFps',
+                    label: 'SHOW FPS',
+                    value: () => onOff(this.settings.showFps),
+                    onAdjust: () => this.setSetting('showFps', !this.settings.showFps)
+                }
+            ]
+        };
+    }
+
+    /**
+     * Pause menu > Settings > Control scheme (saved by the input manager)
+     */
+    getControlSchemeMenu() {
+        const input = this.inputManager;
+        const cycle = (key, choices) => (step) => {
+            const index = choices.indexOf(input.settings[key]);
+            input.setSetting(key, choices[(index + step + choices.length) % choices.length]);
+        };
+        return {
+            title: 'CONTROL SCHEME',
+            options: [
+                {
+                    id: 'joystickMode',
+                    label: 'TOUCH JOYSTICK',
+                    value: () => input.settings.joystickMode.toUpperCase(),
+                    onAdjust: cycle('joystickMode', ['floating', 'fixed'])
+                },
+                {
+                    id: 'handedness',
+                    label: 'HANDEDNESS',
+                    description: 'Which hand the action button is for; the joystick takes the other side',
+                    value: () => input.settings.handedness.toUpperCase(),
+                    onAdjust: cycle('handedness', ['right', 'left'])
+                },
+                {
+                    id: 'stickDeadzone',
+                    label: 'STICK DEADZONE',
+                    value: () => `${Math.round(input.settings.stickDeadzone * 100)}%`,
+                    onAdjust: (step) => input.setSetting('stickDeadzone', Math.round((input.settings.stickDeadzone + step * 0.05) * 100) / 100)
+                },
+                {
+                    id: 'stickCurve',
+                    label: 'STICK RESPONSE',
+                    description: '1 is linear; higher gives finer control near the center',
+                    value: () => input.settings.stickCurve.toFixed(2),
+                    onAdjust: (step) => input.setSetting('stickCurve', input.settings.stickCurve + step * 0.25)
+                },
+                {
+                    id: 'rumble',
+                    label: 'RUMBLE',
+                    value: () => (input.settings.rumble ? 'ON' : 'OFF'),
+                    onAdjust: () => input.setSetting('rumble', !input.settings.rumble)
+                }
+            ]
+        };
+    }
+
+    /**
+     * Pause menu > Controls: what every action is bound to; selecting one rebinds it
+     */
+    getControlsMenu() {
+        const describe = (binding) => {
+            const keys = binding.keys.map(describeKey).join(', ');
+            const pad = binding.pad.map(describePadInput).join(', ');
+            return [keys, pad].filter(Boolean).join(' / ');
+        };
+        return {
+            title: 'CONTROLS',
+            subtitle: 'Touch: joystick on one side of the screen, pause button on the other',
+            hint: CONTROLS_HINT,
+            options: [
+                ...INPUT_ACTIONS.map(action => ({
+                    id: action.id,
+                    label: action.label.toUpperCase(),
+                    value: () => describe(this.inputManager.getBindings()[action.id]),
+                    onSelect: () => this.rebindAction(action)
+                })),
+                {
+                    id: 'resetBindings',
+                    label: 'RESET TO DEFAULTS',
+                    onSelect: () => {
+                        this.inputManager.resetBindings();
+                        this.pauseOverlayManager.refresh();
+                    }
+                }
+            ]
+        };
+    }
+
+    /**
+     * Wait for the key or gamepad input to bind to an action (Controls menu)
+     */
+    rebindAction(action) {
+        const overlay = this.pauseOverlayManager;
+        const menu = overlay.menu;
+        menu.hint = `Press a key or gamepad button for ${action.label.toLowerCase()} (cancels after ${REBIND_TIMEOUT / 1000}s)`;
+        overlay.refresh();
+        this.inputManager.rebind(action.id, 'any', () => {
+            menu.hint = CONTROLS_HINT;
+            overlay.refresh();
+        });
+    }
+
+    /**
+     * Pause menu > Restart run: a fresh run in the same mode
+     */
+    restartRun() {
+        console.log('[MainScene] Restarting run');
+        this.pauseManager.resume();
+        if (!this.isMultiplayer) {
+            this.saveManager.clear();
+        }
+        this.startGame(this.isMultiplayer);
+    }
+
+    /**
+     * Pause menu > Quit to title; a single-player run stays saved for CONTINUE
+     */
+    quitToTitle() {
+        console.log('[MainScene] Quitting to title');
+        this.saveGame();
+        this.pauseManager.resume();
+        this.showTitleScreen();
+    }
+
+    /**
+     * Level-up screen: pick one of a few random upgrades (the scene stays paused meanwhile)
+     */
+    showUpgradeChoices() {
+        const choices = rollUpgradeChoices(this.localPlayer.build);
+        const weaponLevels = getWeaponLevels(this.localPlayer.build);
+        if (choices.length === 0) {
+            // Everything is maxed out; nothing to choose
+            this.pendingUpgrades = 0;
+            this.pauseManager.resume();
+            return;
+        }
+
+        this.pauseOverlayManager.show({
+            id: 'level-up-overlay',
+            title: 'LEVEL UP!',
+            subtitle: `Level ${this.localPlayer.level - this.pendingUpgrades + 1}: choose an upgrade`,
+            hint: this.pendingUpgrades > 1 ? `${this.pendingUpgrades - 1} more to choose` : '',
+            zIndex: 9999,
+            background: 'rgba(0, 0, 0, 0.8)',
+            options: choices.map(id => {
+                const upgrade = getUpgrade(id);
+                let label = `${upgrade.label.toUpperCase()} ${(this.localPlayer.build[id] || 0) + 1}/${upgrade.maxLevel}`;
+                if (upgrade.weapon) {
+                    // Weapons show the weapon level they go to
+                    const level = weaponLevels[upgrade.weapon] || 0;
+                    label = level === 0
+                        ? `NEW: ${upgrade.label.toUpperCase()}`
+                        : `${upgrade.label.toUpperCase()} LV ${level + 1}/${getWeapon(upgrade.weapon).levels.length}`;
+                }
+                return {
+                    id,
+                    label,
+                    description: upgrade.description,
+                    onSelect: () => this.chooseUpgrade(id)
+                };
+            }),
+            selectedIndex: 0
+        });
+    }
+
+    /**
+     * Take an upgrade from the level-up screen; resume once every level up is spent
+     */
+    chooseUpgrade(upgradeId) {
+        this.localPlayer.applyUpgrade(upgradeId);
+        this.syncWeapons();
+        this.pendingUpgrades = Math.max(0, this.pendingUpgrades - 1);
+        console.log(`[MainScene] Upgrade: ${getUpgrade(upgradeId).label} ${this.localPlayer.build[upgradeId]}`);
+
+        if (this.pendingUpgrades > 0) {
+            this.showUpgradeChoices();
+        } else {
+            this.pauseManager.resume();
+        }
+    }
+
+    /**
+     * Give the weapon system the local player's current weapons and stats
+     */
+    syncWeapons() {
+        const player = this.localPlayer;
+        this.weaponSystem.setWeapons(getWeaponLevels(player.build), player.buildStats);
+    }
+
     removePauseOverlay() {
+        this.inputManager.cancelRebind();
         if (this.pauseOverlayManager) {
             this.pauseOverlayManager.hide();
         }
     }
 
-    update() {
+    update(time, delta) {
         // --- Title Screen ---
         if (this.inTitleScreen) return;
         // --- Game Over Check ---
         if (this.gameOver) return;
         // --- Movement Vector ---
+        // Keyboard, gamepad or virtual joystick; already length 0..1 (sticks move slower when half pushed)
+        // Away (paused in multiplayer) the scene still runs, but the player stands still
         let moveVec = new Phaser.Math.Vector2();
-        // Keyboard
-        if (this.cursors.left.isDown) moveVec.x -= 1;
-        if (this.cursors.right.isDown) moveVec.x += 1;
-        if (this.cursors.up.isDown) moveVec.y -= 1;
-        if (this.cursors.down.isDown) moveVec.y += 1;
-        // Touch
-        if (this.isTouching) {
-            this.touchIndicator.setPosition(this.touchStart.x, this.touchStart.y);
-            this.touchIndicator.setVisible(true);
-            this.touchMoveVec.copy(this.touchCurrent).subtract(this.touchStart);
-            if (this.touchMoveVec.length() > 10) {
-                moveVec.copy(this.touchMoveVec).normalize();
-            }
-        } else {
-            this.touchIndicator.setVisible(false);
+        if (!this.isAway) {
+            this.inputManager.getMoveVector(moveVec);
         }
-        // Normalize for diagonal
-        if (moveVec.length() > 0) moveVec = moveVec.normalize();
-
-        // --- World Offset Update ---
-        const speed = 4;
-        this.worldOffset.x += moveVec.x * speed;
-        this.worldOffset.y += moveVec.y * speed;
-
-        // --- Background Scroll ---
-        this.bg.tilePositionX = this.worldOffset.x;
-        this.bg.tilePositionY = this.worldOffset.y;
-
-        // --- Player stays centered ---
-        // (No update needed, always at center)
+        this.joystick.update();
 
         // --- Aiming Stroke ---
         if (moveVec.length() > 0) {
             this.aimLine.setVisible(true);
-            const centerX = this.scale.gameSize.width / 2;
-            const centerY = this.scale.gameSize.height / 2;
-            this.aimLine.setPosition(centerX, centerY);
             // Calculate angle
             const angle = Math.atan2(moveVec.y, moveVec.x);
             this.aimLine.setRotation(angle);
+            this.aimDir.x = Math.cos(angle);
+            this.aimDir.y = Math.sin(angle);
         } else {
             this.aimLine.setVisible(false);
         }
 
+        // --- Simulation: fixed steps, however fast the display refreshes ---
+        const alpha = this.timestep.advance(delta, (dt) => this.simulate(dt, moveVec));
+        this.render(alpha);
+
         // --- Update HUD ---
         const hud = document.getElementById('hud');
         if (hud) {
-            let hudText = `HP:${Math.round(this.playerStats.hp)}/${this.playerStats.maxHP}  LVL:${this.playerLevel}  EXP:${this.playerExp}/${this.nextLevelExp}`;
+            let hudText = `HP:${Math.round(this.localPlayer.stats.hp)}/${this.localPlayer.stats.maxHP}  LVL:${this.localPlayer.level}  EXP:${this.localPlayer.exp}/${this.localPlayer.nextLevelExp}`;
+            // With server enemies the waves are the server's (see EnemySimulation), at the room's preset
+            const waveStatus = this.usesServerEnemies() ? this.multiplayerManager.waveStatus : this.waveDirector.getStatusText();
+            if (waveStatus) {
+                hudText += `  ${waveStatus}`;
+            }
+            const roomPreset = this.usesServerEnemies() && DIFFICULTY_PRESETS[this.multiplayerManager.roomDifficulty];
+            if (roomPreset) {
+                hudText += ` (${roomPreset.label})`;
+            }
+            hudText += ` | ${this.weaponSystem.getHudText()}`;
+            if (this.stressCount > 0 || this.settings.showFps) {
+                hudText += ` | FPS: ${Math.round(this.game.loop.actualFps)}`;
+            }
+            if (this.stressCount > 0) {
+                hudText += ` | Entities: ${this.getEntityCount()}`;
+            }
             if (this.isMultiplayer && this.multiplayerManager) {
                 const playerCount = this.remotePlayersMap.size + 1;
-                hudText += ` | Players: ${playerCount}`;
+                hudText += ` | Room: ${this.multiplayerManager.roomCode} | Players: ${playerCount}`;
+                if (this.multiplayerManager.isReconnecting) {
+                    hudText += ' | Reconnecting...';
+                }
+                if (this.isAway) {
+                    hudText += ' | Away';
+                }
+                if (this.showNetDebug && this.usesServerEnemies()) {
+                    hudText += ` | Corr: ${this.lastCorrection.toFixed(1)}px | Pending: ${this.pendingInputs.length}`;
+                }
             }
             hud.textContent = hudText;
         }
@@ -431,192 +1055,333 @@ class MainScene extends Phaser.Scene {
         // --- Multiplayer: Broadcast local player state ---
         if (this.isMultiplayer && this.multiplayerManager && !this.gameOver) {
             // Update local player state in manager
-            this.multiplayerManager.updateLocalPlayer({
-                x: this.worldOffset.x,
-                y: this.worldOffset.y,
-                hp: this.playerStats.hp,
-                maxHp: this.playerStats.maxHP,
-                level: this.playerLevel,
-                exp: this.playerExp,
-                isDead: this.playerStats.hp <= 0
-            });
+            const networkState = this.localPlayer.getNetworkState();
+            this.multiplayerManager.updateLocalPlayer(networkState);
             
             // Broadcast state to other tabs (throttled to ~10 times per second)
             if (!this.lastStateBroadcast || Date.now() - this.lastStateBroadcast > 100) {
-                this.multiplayerManager.broadcastState({
-                    x: this.worldOffset.x,
-                    y: this.worldOffset.y,
-                    hp: this.playerStats.hp,
-                    maxHp: this.playerStats.maxHP,
-                    level: this.playerLevel,
-                    exp: this.playerExp,
-                    isDead: this.playerStats.hp <= 0
-                });
+                this.multiplayerManager.broadcastState(networkState);
                 this.lastStateBroadcast = Date.now();
             }
         }
 
-        // --- Multiplayer: Update remote players ---
+        // --- Multiplayer: Update remote players (interpolated from snapshots by time) ---
         if (this.isMultiplayer) {
+            const renderTime = this.multiplayerManager ? this.multiplayerManager.getServerTime() : Date.now();
             for (const [playerId, remotePlayer] of this.remotePlayersMap) {
                 if (!remotePlayer.isDead) {
-                    remotePlayer.update();
-                    
-                    // Update sprite position (relative to world offset)
-                    const centerX = this.scale.gameSize.width / 2;
-                    const centerY = this.scale.gameSize.height / 2;
-                    // Remote player position is in world space, convert to screen space
-                    const screenX = centerX + (remotePlayer.x - this.worldOffset.x);
-                    const screenY = centerY + (remotePlayer.y - this.worldOffset.y);
-                    remotePlayer.sprite.setPosition(screenX, screenY);
+                    remotePlayer.updateInterpolation(renderTime);
+                    remotePlayer.update(delta / 1000);
+                    remotePlayer.syncSprite();
                 } else {
-                    remotePlayer.updateDeathAnimation();
+                    remotePlayer.updateDeathAnimation(delta / 1000);
                 }
             }
         }
 
+        if (this.pendingUpgrades > 0 && !this.gameOver) {
+            this.pauseManager.pause({ reason: 'levelUp' });
+        }
+    }
+
+    /**
+     * Advance the game by one fixed step
+     * @param {number} dt - Seconds (see FixedTimestep)
+     * @param {Phaser.Math.Vector2} moveVec - Movement input for this frame
+     * @returns {boolean} false to skip the rest of the frame's steps (game over, level up)
+     */
+    simulate(dt, moveVec) {
+        const player = this.localPlayer;
+
+        // Where everything was, for render interpolation
+        player.prevX = player.x;
+        player.prevY = player.y;
+        for (const enemy of this.npcEnemies) {
+            enemy.prevX = enemy.x;
+            enemy.prevY = enemy.y;
+        }
+
+        // --- Player Movement ---
+        // Applied immediately; with a server the input is also sent for reconciliation
+        const moveSpeed = player.buildStats.moveSpeed;
+        player.setVelocity(moveVec.x, moveVec.y);
+        player.applyVelocity(moveSpeed, dt);
+        this.recordMovementInput(moveVec, moveSpeed / BASE_PLAYER_STATS.moveSpeed);
+
+        // --- Waves (in server multiplayer, enemies come from enemy snapshots instead) ---
+        if (!this.usesServerEnemies()) {
+            if (this.stressCount > 0) {
+                this.fillStressEnemies();
+            } else {
+                this.waveDirector.update(dt, { playerLevel: this.localPlayer.level });
+            }
+        }
+
         // --- NPC Enemies update ---
-        const centerX = this.scale.gameSize.width / 2;
-        const centerY = this.scale.gameSize.height / 2;
+        const playerX = player.x;
+        const playerY = player.y;
         for (const enemy of this.npcEnemies) {
-            enemy.update(centerX, centerY);
+            // Server-owned enemies are positioned by enemy snapshots
+            if (enemy.networkId !== null && !enemy.isDead) continue;
+            enemy.update(dt, playerX, playerY);
         }
+        this.updateEnemyProjectiles(dt, playerX, playerY);
+
+        // --- Spatial index of live enemies ---
+        this.enemyGrid.rebuild(this.npcEnemies, enemy => !enemy.isDead);
 
         // --- Enemy-Enemy Separation (Cluster Repulsion) ---
-        for (let i = 0; i < this.npcEnemies.length; i++) {
-            for (let j = i + 1; j < this.npcEnemies.length; j++) {
-                const a = this.npcEnemies[i];
-                const b = this.npcEnemies[j];
-                const dx = b.sprite.x - a.sprite.x;
-                const dy = b.sprite.y - a.sprite.y;
-                const dist = Math.sqrt(dx * dx + dy * dy);
-                const minDist = a.radius + b.radius;
-                if (dist < minDist && dist > 0) {
-                    const overlap = minDist - dist;
-                    const nx = dx / dist;
-                    const ny = dy / dist;
-                    // Push both enemies away from each other
-                    a.sprite.x -= nx * (overlap / 2);
-                    a.sprite.y -= ny * (overlap / 2);
-                    b.sprite.x += nx * (overlap / 2);
-                    b.sprite.y += ny * (overlap / 2);
-                }
+        this.enemyGrid.forEachOverlappingPair((a, b) => {
+            // Server-owned enemies are separated by the server
+            if (a.networkId !== null || b.networkId !== null) return;
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist > 0) {
+                const overlap = a.radius + b.radius - dist;
+                const nx = dx / dist;
+                const ny = dy / dist;
+                // Push both enemies away from each other
+                a.x -= nx * (overlap / 2);
+                a.y -= ny * (overlap / 2);
+                b.x += nx * (overlap / 2);
+                b.y += ny * (overlap / 2);
             }
-        }
+        });
 
         // --- Collision Detection, Damage, and Bounce (Player-Enemy) ---
-        for (const enemy of this.npcEnemies) {
-            const dx = enemy.sprite.x - centerX;
-            const dy = enemy.sprite.y - centerY;
+        const touching = player.findCollisions(this.enemyGrid, this.nearbyEnemies);
+        for (const enemy of touching) {
+            const dx = enemy.x - player.x;
+            const dy = enemy.y - player.y;
             const dist = Math.sqrt(dx * dx + dy * dy);
-            const minDist = enemy.radius + this.player.radius;
-            if (dist < minDist) {
-                // --- Bounce logic ---
-                const overlap = minDist - dist;
-                if (overlap > 0 && dist > 0) {
-                    const nx = dx / dist;
-                    const ny = dy / dist;
-                    // Move enemy out
-                    enemy.sprite.x += nx * overlap;
-                    enemy.sprite.y += ny * overlap;
-                    // Move player (by moving world offset in opposite direction)
-                    this.worldOffset.x -= nx * overlap * 0.5;
-                    this.worldOffset.y -= ny * overlap * 0.5;
-                    this.bg.tilePositionX = this.worldOffset.x;
-                    this.bg.tilePositionY = this.worldOffset.y;
+            // --- Bounce logic ---
+            const overlap = enemy.radius + player.radius - dist;
+            if (overlap > 0 && dist > 0) {
+                const nx = dx / dist;
+                const ny = dy / dist;
+                // Move enemy out (server-owned enemies keep their server position)
+                if (enemy.networkId === null) {
+                    enemy.x += nx * overlap;
+                    enemy.y += ny * overlap;
                 }
-                // --- Damage logic ---
-                if (this.playerShockTimer <= 0 && this.playerStats.hp > 0) {
-                    this.playerStats.hp -= 0.7; // Damage per frame
-                    this.playerShockTimer = 18; // Shorter flash for repeated hits
-                    this.playerFlashStep = 0;
+                // Push the player back; server-owned enemies already stop
+                // at contact and the server owns our position
+                if (enemy.networkId === null) {
+                    player.x -= nx * overlap * 0.5;
+                    player.y -= ny * overlap * 0.5;
                 }
             }
-        }
-        // --- Shock Animation ---
-        if (this.playerShockTimer > 0) {
-            this.playerShockTimer--;
-            if (this.playerShockTimer % 6 < 3) {
-                this.player.setFillStyle(0xffffff);
-            } else {
-                this.player.setFillStyle(0x4CAF50);
-            }
-            if (this.playerShockTimer === 0) {
-                this.player.setFillStyle(0x4CAF50);
+            // --- Damage logic ---
+            // Hits flash the player, and it can't be hit again until the flash ends (or while away)
+            if (player.shockTimer <= 0 && !this.stressCount && !this.isAway) {
+                this.damageLocalPlayer(enemy.contactDamage);
             }
         }
+        // --- Shock Timer and Flash ---
+        player.update(dt);
+
+        // --- Regeneration ---
+        if (player.buildStats.regen > 0) {
+            player.heal(player.buildStats.regen * dt);
+        }
 
         // --- Game Over Trigger ---
-        if (this.playerStats.hp <= 0 && !this.gameOver) {
+        if (player.isDead && !this.gameOver) {
             this.gameOver = true;
+            // The run is over; nothing to continue (online runs are never saved)
+            if (!this.isMultiplayer) {
+                this.saveManager.clear();
+            }
             this.showGameOver();
             setTimeout(() => this.showTitleScreen(), 2000);
+            return false;
         }
 
-        // --- Auto-Attack ---
-        if (!this.inTitleScreen && !this.gameOver && this.npcEnemies.length > 0) {
-            if (this.attackCooldown > 0) {
-                this.attackCooldown--;
-            } else {
-                // Find closest enemy within 60px
-                const centerX = this.scale.gameSize.width / 2;
-                const centerY = this.scale.gameSize.height / 2;
-                let closest = null;
-                let minDist = Infinity;
-                for (const enemy of this.npcEnemies) {
-                    if (enemy.isDead) continue;
-                    const dx = enemy.sprite.x - centerX;
-                    const dy = enemy.sprite.y - centerY;
-                    const dist = Math.sqrt(dx * dx + dy * dy);
-                    if (dist < minDist && dist <= 300) {
-                        minDist = dist;
-                        closest = enemy;
+        // --- Weapons (holstered while away) ---
+        if (!this.isAway) {
+            this.weaponSystem.update(dt, player.x, player.y, this.aimDir, this.enemyGrid);
+        }
+        this.sendPendingHits();
+
+        // Remove dead enemies, drop their loot and split splitters
+        const spawned = [];
+        for (const enemy of this.npcEnemies) {
+            if (enemy.toRemove && !enemy.expGiven) {
+                enemy.expGiven = true;
+                this.dropLoot(enemy.x, enemy.y, enemy.expReward);
+                const split = enemy.archetype.splitInto;
+                if (split) {
+                    for (let i = 0; i < split.count; i++) {
+                        const angle = (Math.PI * 2 * i) / split.count;
+                        spawned.push(new NPCEnemy(
+                            this,
+                            enemy.x + Math.cos(angle) * enemy.radius,
+                            enemy.y + Math.sin(angle) * enemy.radius,
+                            split.type
+                        ));
                     }
                 }
-                if (closest) {
-                    closest.takeDamage(this.attackDamage);
-                    this.attackCooldown = this.attackRate;
-                    this.showAttackLine(centerX, centerY, closest.sprite.x, closest.sprite.y);
-                }
             }
         }
 
-        // --- Attack Line Animation ---
-        for (let i = this.attackLines.length - 1; i >= 0; i--) {
-            const line = this.attackLines[i];
-            line.life--;
-            if (line.life <= 0) {
-                line.phaserLine.setVisible(false);
-                this.attackLinePool.push(line.phaserLine);
-                this.attackLines.splice(i, 1);
-            }
+        // --- Pickups (EXP comes from collecting gems) ---
+        // Levels gained are counted into pendingUpgrades by collectPickup
+        if (!this.isAway) {
+            this.pickupManager.update(dt, player, player.radius, player.buildStats.pickupRadius);
         }
 
-        // Remove dead enemies and grant EXP
-        let expGained = 0;
+        // Remove dead enemies
+        this.npcEnemies = this.npcEnemies.filter(e => !e.toRemove).concat(spawned);
+
+        // The level-up screen pauses the game once this frame is drawn
+        return this.pendingUpgrades === 0;
+    }
+
+    /**
+     * Draw the world between the previous and current simulation step
+     * @param {number} alpha - 0..1 through the current step (see FixedTimestep)
+     */
+    render(alpha) {
+        const player = this.localPlayer;
+        const x = player.prevX + (player.x - player.prevX) * alpha;
+        const y = player.prevY + (player.y - player.prevY) * alpha;
+        this.syncPlayerPosition(x, y);
+
         for (const enemy of this.npcEnemies) {
-            if (enemy.toRemove && !enemy.expGiven) {
-                expGained += 10;
-                enemy.expGiven = true;
-            }
+            enemy.render(alpha);
+        }
+        for (const projectile of this.enemyProjectiles) {
+            projectile.sprite.setPosition(
+                projectile.prevX + (projectile.x - projectile.prevX) * alpha,
+                projectile.prevY + (projectile.y - projectile.prevY) * alpha
+            );
         }
-        if (expGained > 0) {
-            this.playerExp += expGained;
+        this.pickupManager.render(alpha);
+        this.weaponSystem.render(alpha, x, y);
+    }
+
+    /**
+     * Move the player sprite, aim stroke and background scroll to where the
+     * player is drawn; the camera follows the sprite
+     */
+    syncPlayerPosition(x = this.localPlayer.x, y = this.localPlayer.y) {
+        this.localPlayer.sprite.setPosition(x, y);
+        this.aimLine.setPosition(x, y);
+        this.bg.tilePositionX = x;
+        this.bg.tilePositionY = y;
+    }
+
+    /**
+     * Spawn an enemy just off screen (WaveDirector spawn callback)
+     * Group members fan out around the group's angle
+     */
+    spawnEnemy(type, { healthMultiplier = 1, groupIndex = 0, groupSize = 1, angle = 0 } = {}) {
+        const spread = (groupIndex - (groupSize - 1) / 2) * 0.15;
+        const distance = Math.max(this.scale.gameSize.width, this.scale.gameSize.height) * 0.6 + 80;
+        const x = this.localPlayer.x + Math.cos(angle + spread) * distance;
+        const y = this.localPlayer.y + Math.sin(angle + spread) * distance;
+        const enemy = new NPCEnemy(this, x, y, type);
+        enemy.stats.maxHP = Math.round(enemy.stats.maxHP * healthMultiplier);
+        enemy.stats.hp = enemy.stats.maxHP;
+        this.npcEnemies.push(enemy);
+        return enemy;
+    }
+
+    /**
+     * Stress test (?stress=N): top the local enemy count back up to N
+     */
+    fillStressEnemies() {
+        const alive = this.npcEnemies.filter(enemy => !enemy.isDead).length;
+        for (let i = alive; i < this.stressCount; i++) {
+            this.spawnEnemy(pickArchetype(), { angle: Math.random() * Math.PI * 2 });
         }
+    }
+
+    /**
+     * Everything simulated this frame: players, enemies, projectiles and pickups
+     */
+    getEntityCount() {
+        return 1 + this.remotePlayersMap.size + this.npcEnemies.length +
+            this.enemyProjectiles.length + this.weaponSystem.projectiles.length +
+            this.pickupManager.pickups.length;
+    }
 
-        // --- Level Up Logic ---
-        while (this.playerExp >= this.nextLevelExp) {
-            this.playerExp -= this.nextLevelExp;
-            this.playerLevel++;
-            this.attackDamage *= 2;
-            this.nextLevelExp = 50 * this.playerLevel;
+    /**
+     * Fire an enemy projectile from (x, y) along a unit direction
+     */
+    spawnEnemyProjectile(x, y, dirX, dirY, spec) {
+        let sprite = this.enemyProjectilePool.pop();
+        if (sprite) {
+            sprite.setPosition(x, y);
+            sprite.setRadius(spec.radius);
+            sprite.setFillStyle(spec.color);
+            sprite.setVisible(true);
+        } else {
+            sprite = this.add.circle(x, y, spec.radius, spec.color);
+            sprite.setDepth(1);
         }
+        this.enemyProjectiles.push({
+            sprite,
+            x,
+            y,
+            prevX: x,
+            prevY: y,
+            vx: dirX * spec.speed,
+            vy: dirY * spec.speed,
+            radius: spec.radius,
+            damage: spec.damage,
+            life: spec.life
+        });
+    }
 
-        // Remove dead enemies
-        this.npcEnemies = this.npcEnemies.filter(e => !e.toRemove);
+    /**
+     * Move enemy projectiles, damage the player on hit, recycle expired ones
+     * @param {number} dt - Seconds
+     */
+    updateEnemyProjectiles(dt, playerX, playerY) {
+        for (let i = this.enemyProjectiles.length - 1; i >= 0; i--) {
+            const projectile = this.enemyProjectiles[i];
+            projectile.prevX = projectile.x;
+            projectile.prevY = projectile.y;
+            projectile.x += projectile.vx * dt;
+            projectile.y += projectile.vy * dt;
+            projectile.life -= dt;
+
+            const dx = projectile.x - playerX;
+            const dy = projectile.y - playerY;
+            const hit = Math.sqrt(dx * dx + dy * dy) < projectile.radius + this.localPlayer.radius;
+            if (hit && !this.stressCount && !this.isAway) {
+                this.damageLocalPlayer(projectile.damage);
+            }
+
+            if (hit || projectile.life <= 0) {
+                this.releaseEnemyProjectile(i);
+            }
+        }
+    }
+
+    /**
+     * Hurt the local player; the camera shakes and the gamepad rumbles harder for bigger hits
+     */
+    damageLocalPlayer(amount) {
+        const player = this.localPlayer;
+        player.takeDamage(amount);
+        if (this.settings.screenShake) {
+            this.cameras.main.shake(SHAKE_TIME, SHAKE_INTENSITY);
+        }
+        const strength = HIT_RUMBLE_STRENGTH + amount / player.stats.maxHP;
+        this.inputManager.rumble(player.isDead ? 1 : strength, player.isDead ? DEATH_RUMBLE_TIME : HIT_RUMBLE_TIME);
+    }
+
+    releaseEnemyProjectile(index) {
+        const [projectile] = this.enemyProjectiles.splice(index, 1);
+        projectile.sprite.setVisible(false);
+        this.enemyProjectilePool.push(projectile.sprite);
     }
 
     showGameOver() {
+        this.joystick.setEnabled(false);
         const gameover = document.getElementById('gameover');
         if (gameover) {
             gameover.style.display = 'flex';
@@ -625,6 +1390,7 @@ class MainScene extends Phaser.Scene {
 
     showTitleScreen() {
         this.inTitleScreen = true;
+        this.joystick.setEnabled(false);
         this.gameOver = false;
         const gameover = document.getElementById('gameover');
         if (gameover) gameover.style.display = 'none';
@@ -634,12 +1400,24 @@ class MainScene extends Phaser.Scene {
     updateTitleScreen() {
         const title = document.getElementById('titlescreen');
         if (title) title.style.display = this.inTitleScreen ? 'flex' : 'none';
+        // The selected option may have become unavailable (e.g. the save was cleared on game over)
+        if (!this.isMenuOptionEnabled(this.menuIndex)) {
+            this.menuIndex = 0;
+        }
         // Highlight selected option
-        const opts = ['startbtn', 'multiplayerbtn', 'continuebtn', 'hubbtn'];
+        const difficultyBtn = document.getElementById('difficultybtn');
+        if (difficultyBtn) {
+            difficultyBtn.textContent = `DIFFICULTY: ${DIFFICULTY_PRESETS[this.difficulty].label}`;
+        }
+        const opts = ['startbtn', 'multiplayerbtn', 'continuebtn', 'difficultybtn', 'hubbtn'];
         opts.forEach((id, idx) => {
             const el = document.getElementById(id);
             if (el) {
                 const isHub = id === 'hubbtn';
+                const enabled = this.isMenuOptionEnabled(idx);
+                el.disabled = !enabled;
+                el.style.opacity = enabled ? '1' : '0.35';
+                el.style.cursor = enabled ? 'pointer' : 'default';
                 if (idx === this.menuIndex) {
                     el.classList.add('selected');
                     el.style.background = '#fff8';
@@ -653,112 +1431,238 @@ class MainScene extends Phaser.Scene {
         });
     }
 
-    setupMenuInput() {
-        // Keyboard
-        this.input.keyboard.on('keydown', (e) => {
-            if (!this.inTitleScreen) return;
-            if (e.code === 'ArrowUp' || e.code === 'KeyW') {
-                this.menuIndex = (this.menuIndex + this.menuOptions.length - 1) % this.menuOptions.length;
-                this.updateTitleScreen();
-            } else if (e.code === 'ArrowDown' || e.code === 'KeyS') {
-                this.menuIndex = (this.menuIndex + 1) % this.menuOptions.length;
-                this.updateTitleScreen();
-            } else if (e.code === 'Enter' || e.code === 'Space') {
-                this.selectMenuOption();
-            } else if (e.code === 'Escape') {
-                this.goToHub();
+    /**
+     * Title menu navigation and pausing a run; overlays push their own handlers on top
+     */
+    setupInput() {
+        const inTitle = (handler) => () => {
+            if (!this.inTitleScreen) return false;
+            handler();
+        };
+        const onDifficulty = (step) => inTitle(() => {
+            if (this.menuOptions[this.menuIndex] === 'difficulty') {
+                this.cycleDifficulty(step);
             }
         });
+        this.inputManager.pushHandlers({
+            confirm: inTitle(() => this.selectMenuOption()),
+            back: inTitle(() => this.goToHub()),
+            pause: () => {
+                if (this.inTitleScreen || this.gameOver) return false;
+                this.toggleGamePause();
+            },
+            moveUp: inTitle(() => this.moveMenuSelection(-1)),
+            moveDown: inTitle(() => this.moveMenuSelection(1)),
+            moveLeft: onDifficulty(-1),
+            moveRight: onDifficulty(1)
+        });
+
         // Touch/click
-        ['startbtn', 'multiplayerbtn', 'continuebtn', 'hubbtn'].forEach((id, idx) => {
+        ['startbtn', 'multiplayerbtn', 'continuebtn', 'difficultybtn', 'hubbtn'].forEach((id, idx) => {
             const el = document.getElementById(id);
             if (el) {
                 el.addEventListener('pointerdown', () => {
+                    if (!this.isMenuOptionEnabled(idx)) return;
                     this.menuIndex = idx;
                     this.updateTitleScreen();
                     this.selectMenuOption();
                 });
             }
         });
-        
-        // Gamepad polling in update loop
-        this.events.on('update', this.pollGamepad, this);
     }
-    
-    pollGamepad() {
-        if (!this.inTitleScreen) return;
-        
+
+    /**
+     * Saved difficulty preset (easy/normal/hard)
+     */
+    loadDifficulty() {
         try {
-            const gamepads = navigator.getGamepads();
-            if (gamepads && gamepads.length > 0) {
-                for (let i = 0; i < gamepads.length; i++) {
-                    const pad = gamepads[i];
-                    if (pad && pad.connected) {
-                        this.gamepad = pad;
-                        break;
-                    }
-                }
-            }
-        } catch (e) {
-            return;
+            const saved = localStorage.getItem('thumbGame_difficulty');
+            return DIFFICULTY_PRESETS[saved] ? saved : DEFAULT_DIFFICULTY;
+        } catch (error) {
+            return DEFAULT_DIFFICULTY;
         }
-        
-        if (!this.gamepad) return;
-        
-        // D-pad / stick navigation
-        const dpadUp = this.gamepad.buttons[12]?.pressed;
-        const dpadDown = this.gamepad.buttons[13]?.pressed;
-        const stickUp = this.gamepad.axes[1] < -0.5;
-        const stickDown = this.gamepad.axes[1] > 0.5;
-        const isUp = dpadUp || stickUp;
-        const isDown = dpadDown || stickDown;
-        
-        if (isUp && !this.lastStickUp) {
-            this.menuIndex = (this.menuIndex + this.menuOptions.length - 1) % this.menuOptions.length;
-            this.updateTitleScreen();
+    }
+
+    /**
+     * Saved settings (see gameSettings.js)
+     */
+    loadSettings() {
+        try {
+            return mergeGameSettings(JSON.parse(localStorage.getItem('thumbGame_settings')));
+        } catch (error) {
+            return mergeGameSettings(null);
         }
-        if (isDown && !this.lastStickDown) {
-            this.menuIndex = (this.menuIndex + 1) % this.menuOptions.length;
-            this.updateTitleScreen();
+    }
+
+    /**
+     * Change a setting, apply it and save it
+     */
+    setSetting(key, value) {
+        this.settings = mergeGameSettings({ ...this.settings, [key]: value });
+        this.applySettings();
+        try {
+            localStorage.setItem('thumbGame_settings', JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('[MainScene] Could not save settings:', error);
         }
-        this.lastStickUp = isUp;
-        this.lastStickDown = isDown;
-        
-        // A button (confirm)
-        const aPressed = this.gamepad.buttons[0]?.pressed;
-        if (aPressed && !this.gamepadButtonStates['a']) {
-            this.selectMenuOption();
+    }
+
+    applySettings() {
+        this.sound.volume = this.settings.volume;
+    }
+
+    /**
+     * Step through the difficulty presets from the title menu
+     */
+    cycleDifficulty(step) {
+        const presets = Object.keys(DIFFICULTY_PRESETS);
+        const index = presets.indexOf(this.difficulty);
+        this.difficulty = presets[(index + step + presets.length) % presets.length];
+        try {
+            localStorage.setItem('thumbGame_difficulty', this.difficulty);
+        } catch (error) {
+            console.warn('[MainScene] Could not save difficulty:', error);
         }
-        this.gamepadButtonStates['a'] = aPressed;
-        
-        // B button (hub)
-        const bPressed = this.gamepad.buttons[1]?.pressed;
-        if (bPressed && !this.gamepadButtonStates['b']) {
-            this.goToHub();
+        // Rooms keep the preset they were created with; this only applies to rooms we create from now on
+        if (this.multiplayerManager) {
+            this.multiplayerManager.difficulty = this.difficulty;
         }
-        this.gamepadButtonStates['b'] = bPressed;
-        
-        // Start button (confirm)
-        const startPressed = this.gamepad.buttons[9]?.pressed;
-        if (startPressed && !this.gamepadButtonStates['start']) {
-            this.selectMenuOption();
+        this.updateTitleScreen();
+    }
+
+    /**
+     * CONTINUE is only available when there is a save to continue
+     */
+    isMenuOptionEnabled(index) {
+        if (this.menuOptions[index] === 'continue') {
+            return this.saveManager.hasSave();
         }
-        this.gamepadButtonStates['start'] = startPressed;
+        return true;
+    }
+
+    /**
+     * Move the title menu selection up (-1) or down (1), skipping disabled options
+     */
+    moveMenuSelection(step) {
+        const count = this.menuOptions.length;
+        let index = this.menuIndex;
+        for (let i = 0; i < count; i++) {
+            index = (index + step + count) % count;
+            if (this.isMenuOptionEnabled(index)) break;
+        }
+        this.menuIndex = index;
+        this.updateTitleScreen();
     }
 
     selectMenuOption() {
+        if (!this.isMenuOptionEnabled(this.menuIndex)) return;
         if (this.menuOptions[this.menuIndex] === 'start') {
             this.startGame(false);
         } else if (this.menuOptions[this.menuIndex] === 'multiplayer') {
             this.startGame(true);
         } else if (this.menuOptions[this.menuIndex] === 'continue') {
-            // Placeholder: could load game state
-            this.startGame(false);
+            this.continueGame();
+        } else if (this.menuOptions[this.menuIndex] === 'difficulty') {
+            this.cycleDifficulty(1);
         } else if (this.menuOptions[this.menuIndex] === 'hub') {
             this.goToHub();
         }
     }
     
+    /**
+     * Snapshot of the current single-player run for the save slot
+     */
+    getSaveData() {
+        return {
+            player: this.localPlayer.getState(),
+            pendingUpgrades: this.pendingUpgrades,
+            wave: this.waveDirector.getState(),
+            pickups: this.pickupManager.getState(),
+            enemies: this.npcEnemies
+                .filter(enemy => !enemy.isDead && enemy.networkId === null)
+                .map(enemy => ({
+                    type: enemy.type,
+                    x: enemy.x,
+                    y: enemy.y,
+                    hp: enemy.stats.hp,
+                    maxHP: enemy.stats.maxHP
+                }))
+        };
+    }
+
+    /**
+     * Autosave the current run (single player only; multiplayer state lives on the server)
+     */
+    saveGame() {
+        if (this.inTitleScreen || this.gameOver || this.isMultiplayer) return false;
+        return this.saveManager.save(this.getSaveData());
+    }
+
+    /**
+     * CONTINUE: start a single-player run from the save slot
+     */
+    continueGame() {
+        const save = this.saveManager.load();
+        if (!save) {
+            this.updateTitleScreen();
+            return;
+        }
+
+        this.startGame(false);
+
+        const { x, y, hp, maxHp, level, exp, nextLevelExp, build } = save.player;
+        this.localPlayer.setState({ x, y, hp, maxHp, level, exp, nextLevelExp, build });
+        this.localPlayer.prevX = x;
+        this.localPlayer.prevY = y;
+        this.syncPlayerPosition();
+        this.syncWeapons();
+        this.pendingUpgrades = save.pendingUpgrades;
+        this.waveDirector.setState(save.wave);
+
+        for (const saved of save.pickups) {
+            this.pickupManager.spawn(saved.type, saved.x, saved.y, saved.value);
+        }
+
+        for (const saved of save.enemies) {
+            const enemy = new NPCEnemy(this, saved.x, saved.y, saved.type);
+            enemy.stats.maxHP = saved.maxHP;
+            enemy.stats.hp = saved.hp;
+            this.npcEnemies.push(enemy);
+            if (saved.type === 'boss') {
+                this.waveDirector.setBoss(enemy);
+            }
+        }
+        console.log(`[MainScene] Continued saved run: level ${this.localPlayer.level}, ${save.enemies.length} enemies`);
+
+        // Level ups that were still waiting for a choice when the game was saved
+        if (this.pendingUpgrades > 0) {
+            this.pauseManager.pause({ reason: 'levelUp' });
+        }
+    }
+
+    /**
+     * Put the local player back at the start of a run: origin, fresh build, full HP, level 1
+     */
+    resetLocalPlayer() {
+        const player = this.localPlayer;
+        player.setBuild({});
+        player.setState({
+            x: 0,
+            y: 0,
+            hp: player.buildStats.maxHP,
+            maxHp: player.buildStats.maxHP,
+            level: 1,
+            exp: 0,
+            nextLevelExp: 50,
+            isDead: false,
+            isActive: true
+        });
+        player.prevX = 0;
+        player.prevY = 0;
+        player.shockTimer = 0;
+        player.sprite.setFillStyle(player.color);
+    }
+
     goToHub() {
         console.log('🎮 Navigating to Game Hub');
         window.location.href = HUB_URL;
@@ -769,18 +1673,35 @@ class MainScene extends Phaser.Scene {
         this.inTitleScreen = false;
         this.gameOver = false;
         this.isMultiplayer = isMultiplayer;
-        this.playerStats.hp = this.playerStats.maxHP;
+        this.pendingUpgrades = 0;
+        this.pendingHits = [];
+        this.resetLocalPlayer();
+        this.weaponSystem.reset();
+        this.syncWeapons();
         
         // Remove all enemies
         for (const enemy of this.npcEnemies) {
             enemy.sprite.destroy();
         }
         this.npcEnemies = [];
+        this.networkEnemies.clear();
+        while (this.enemyProjectiles.length > 0) {
+            this.releaseEnemyProjectile(this.enemyProjectiles.length - 1);
+        }
+        this.pickupManager.clear();
         
-        // Reset world offset
-        this.worldOffset.set(0, 0);
-        this.bg.tilePositionX = 0;
-        this.bg.tilePositionY = 0;
+        // Waves start over at the selected difficulty
+        this.waveDirector.setDifficulty(this.difficulty);
+        this.waveDirector.reset();
+
+        // Reset the simulation clock
+        this.timestep.reset();
+        this.joystick.setEnabled(true);
+        this.pendingInputs = [];
+        this.inputBatch = [];
+        this.runStartSequence = this.inputSequence;
+        this.maxCorrection = 0;
+        this.syncPlayerPosition();
         
         // Hide overlays
         const title = document.getElementById('titlescreen');
@@ -788,13 +1709,9 @@ class MainScene extends Phaser.Scene {
         const gameover = document.getElementById('gameover');
         if (gameover) gameover.style.display = 'none';
         
-        this.playerExp = 0;
-        this.playerLevel = 1;
-        this.nextLevelExp = 50;
-        this.attackDamage = 10;
-        
         // Show multiplayer indicator if enabled
         if (isMultiplayer && this.multiplayerManager) {
+            this.multiplayerManager.startRun();
             const hud = document.getElementById('hud');
             if (hud) {
                 hud.textContent += ` | ID: ${this.multiplayerManager.playerId.substring(0, 8)}... | Players: ${this.remotePlayersMap.size + 1}`;
@@ -802,50 +1719,148 @@ class MainScene extends Phaser.Scene {
         }
     }
 
-    showAttackLine(x1, y1, x2, y2) {
-        let lineObj;
-        if (this.attackLinePool.length > 0) {
-            lineObj = this.attackLinePool.pop();
-            lineObj.setTo(x1, y1, x2, y2);
-            lineObj.setVisible(true);
+    /**
+     * Drop an EXP gem at a world position, sometimes with another pickup next to it
+     */
+    dropLoot(x, y, exp) {
+        this.pickupManager.spawn('gem', x, y, exp);
+        // Bombs can't touch server-owned enemies
+        const drops = rollDrops({ exclude: this.usesServerEnemies() ? ['bomb'] : [] });
+        drops.forEach((type, i) => {
+            const angle = (Math.PI * 2 * (i + 1)) / (drops.length + 1);
+            this.pickupManager.spawn(type, x + Math.cos(angle) * 24, y + Math.sin(angle) * 24);
+        });
+    }
+
+    /**
+     * The player walked over a pickup
+     */
+    collectPickup(pickup) {
+        if (pickup.type === 'gem') {
+            // Stats only grow through the upgrade picked on the level-up screen
+            this.pendingUpgrades += this.localPlayer.addExp(pickup.value);
+        } else if (pickup.type === 'health') {
+            this.localPlayer.heal(this.localPlayer.stats.maxHP * PICKUP_TYPES.health.healFraction);
+        } else if (pickup.type === 'magnet') {
+            this.pickupManager.attractAllGems();
+        } else if (pickup.type === 'bomb') {
+            const view = this.cameras.main.worldView;
+            for (const enemy of this.npcEnemies) {
+                const onScreen = view.contains(enemy.x, enemy.y);
+                if (enemy.networkId === null && !enemy.isDead && onScreen) {
+                    enemy.takeDamage(PICKUP_TYPES.bomb.damage);
+                }
+            }
+            this.weaponSystem.showPulse(this.localPlayer.x, this.localPlayer.y, Math.max(view.width, view.height) / 2, 0xffffff);
+        }
+    }
+
+    /**
+     * A weapon hit an enemy: local enemies take damage now, server-owned ones
+     * are batched and the server reports hits/kills back
+     */
+    handleWeaponHit(enemy, damage, weaponId) {
+        if (enemy.networkId !== null) {
+            this.pendingHits.push({ enemyId: enemy.networkId, weapon: weaponId, damage });
         } else {
-            lineObj = this.add.line(0, 0, x1, y1, x2, y2, 0xfff200, 1).setOrigin(0, 0);
-            lineObj.setLineWidth(6, 6);
-            lineObj.setDepth(3);
+            enemy.takeDamage(damage);
+        }
+    }
+
+    sendPendingHits() {
+        const now = Date.now();
+        if (this.pendingHits.length === 0 || now - this.lastAttackSend < ATTACK_SEND_INTERVAL) return;
+        if (this.usesServerEnemies()) {
+            this.multiplayerManager.sendAttack(this.pendingHits);
         }
-        this.attackLines.push({ phaserLine: lineObj, life: 8 }); // 8 frames
+        this.pendingHits = [];
+        this.lastAttackSend = now;
     }
 }
 
 class NPCEnemy {
-    constructor(scene, x, y) {
+    constructor(scene, x, y, type = DEFAULT_ARCHETYPE) {
+        const archetype = getArchetype(type);
         this.scene = scene;
-        this.radius = 30;
-        this.speed = 1.5;
-        this.sprite = scene.add.circle(x, y, this.radius, 0xff8800);
+        this.type = type;
+        this.archetype = archetype;
+        this.radius = archetype.radius;
+        this.speed = archetype.speed;
+        this.color = archetype.color;
+        this.contactDamage = archetype.contactDamage;
+        this.expReward = archetype.expReward;
+        // Simulated world position; the sprite is drawn between prev and current (see render)
+        this.x = x;
+        this.y = y;
+        this.prevX = x;
+        this.prevY = y;
+        this.sprite = scene.add.circle(x, y, this.radius, this.color);
         this.sprite.setDepth(1);
         this.stats = {
-            maxHP: 20,
-            hp: 20
+            maxHP: archetype.maxHP,
+            hp: archetype.maxHP
         };
         this.isDead = false;
-        this.deathAnimTimer = 0;
+        this.deathAnimTimer = 0; // seconds
         this.expGiven = false;
+        // Behaviour state (ranged fire timer, charger wind-up/dash; see enemyBehaviours.js)
+        Object.assign(this, createBehaviourState(archetype));
+        this.telegraphing = false; // Wind-up outline shown
+        // Server-owned enemies (multiplayer) carry their id
+        this.networkId = null;
+    }
+
+    /**
+     * Apply state from a server enemy snapshot
+     */
+    setNetworkState(state) {
+        this.networkId = state.id;
+        // Snapshots arrive slower than steps, so they are drawn where they land
+        this.x = this.prevX = state.x;
+        this.y = this.prevY = state.y;
+        this.stats.hp = state.hp;
+        this.stats.maxHP = state.maxHp;
+        this.chargeState = state.chargeState;
+    }
+
+    /**
+     * Start the death animation for a server-owned enemy; EXP is granted by the server
+     */
+    killFromNetwork() {
+        if (this.isDead) return;
+        this.stats.hp = 0;
+        this.isDead = true;
+        this.deathAnimTimer = 0;
+        this.expGiven = true;
     }
 
-    update(targetX, targetY) {
+    /**
+     * Flash white briefly on hit
+     */
+    flash() {
+        this.sprite.setFillStyle(0xffffff);
+        setTimeout(() => {
+            if (!this.isDead) this.sprite.setFillStyle(this.color);
+        }, 100);
+    }
+
+    /**
+     * Advance one simulation step
+     * @param {number} dt - Seconds
+     */
+    update(dt, targetX, targetY) {
         if (this.isDead) {
             // Death animation: shake and blink
-            this.deathAnimTimer++;
-            if (this.deathAnimTimer < 24) {
+            this.deathAnimTimer += dt;
+            if (this.deathAnimTimer < DEATH_ANIM_TIME) {
                 // Shake
-                this.sprite.x += Math.sin(this.deathAnimTimer * 2) * 2;
-                this.sprite.y += Math.cos(this.deathAnimTimer * 3) * 2;
+                this.x += Math.sin(this.deathAnimTimer * 120) * 2;
+                this.y += Math.cos(this.deathAnimTimer * 180) * 2;
                 // Blink
-                if (this.deathAnimTimer % 6 < 3) {
+                if (Math.floor(this.deathAnimTimer / BLINK_INTERVAL) % 2 === 0) {
                     this.sprite.setFillStyle(0xffffff);
                 } else {
-                    this.sprite.setFillStyle(0xff8800);
+                    this.sprite.setFillStyle(this.color);
                 }
             } else {
                 this.sprite.destroy();
@@ -853,14 +1868,35 @@ class NPCEnemy {
             }
             return;
         }
-        // Move towards target (player center)
-        const dx = targetX - this.sprite.x;
-        const dy = targetY - this.sprite.y;
+
+        const dx = targetX - this.x;
+        const dy = targetY - this.y;
         const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist > 1) {
-            this.sprite.x += (dx / dist) * this.speed;
-            this.sprite.y += (dy / dist) * this.speed;
+        updateBehaviour(this, dx, dy, dist, dt, (enemy, dirX, dirY, projectile) => {
+            this.scene.spawnEnemyProjectile(enemy.x, enemy.y, dirX, dirY, projectile);
+        });
+    }
+
+    /**
+     * Draw the sprite between the previous and current step
+     * @param {number} alpha - 0..1 through the current step (see FixedTimestep)
+     */
+    render(alpha) {
+        if (this.toRemove) return;
+        this.sprite.setPosition(
+            this.prevX + (this.x - this.prevX) * alpha,
+            this.prevY + (this.y - this.prevY) * alpha
+        );
+
+        // Chargers blink a white outline while winding up (server chargers too, from their snapshots)
+        const telegraphing = !this.isDead && this.chargeState === 'telegraph';
+        if (telegraphing) {
+            const blinkOn = Math.floor(this.scene.time.now / 1000 / TELEGRAPH_BLINK) % 2 === 0;
+            this.sprite.setStrokeStyle(4, 0xffffff, blinkOn ? 1 : 0.2);
+        } else if (this.telegraphing) {
+            this.sprite.setStrokeStyle();
         }
+        this.telegraphing = telegraphing;
     }
 
     takeDamage(amount) {
@@ -870,12 +1906,9 @@ class NPCEnemy {
             this.stats.hp = 0;
             this.isDead = true;
             this.deathAnimTimer = 0;
+            this.sprite.setStrokeStyle();
         } else {
-            // Flash white briefly on hit
-            this.sprite.setFillStyle(0xffffff);
-            setTimeout(() => {
-                if (!this.isDead) this.sprite.setFillStyle(0xff8800);
-            }, 100);
+            this.flash();
         }
     }
 }
@@ -899,7 +1932,7 @@ const config = {
         }
     },
     input: {
-        activePointers: 1
+        activePointers: 2 // Touch pointers (the mouse has its own): joystick and action button
     }
 };
 
@@ -2,6 +2,7 @@
  * Simple WebSocket Server for Thumb Game Multiplayer
  * 
  * This server enables cross-device multiplayer communication.
+ * Players are grouped into named rooms; each room is its own arena.
  * 
  * To run locally:
  *   npm install ws
@@ -10,138 +11,1051 @@
  * To deploy:
  *   - Deploy to Railway, Render, Heroku, or similar
  *   - Update multiplayer.js to use your server URL
+ *
+ * Environment variables:
+ *   PORT                       - Listen port (default 8080)
+ *   MAX_PAYLOAD_BYTES          - Largest accepted message (default 16384)
+ *   MAX_CONNECTIONS            - Total open sockets (default 500)
+ *   MAX_CONNECTIONS_PER_IP     - Open sockets per client address (default 10)
+ *   TRUST_PROXY                - Set to 1 to read client addresses from X-Forwarded-For
+ *   RATE_LIMIT_STATE           - stateUpdate messages per second (default 30)
+ *   RATE_LIMIT_ATTACK          - attack messages per second (default 30)
+ *   RATE_LIMIT_INPUT           - input batch messages per second (default 30)
+ *   RATE_LIMIT_DEFAULT         - Any other message type per second (default 5)
+ *   RATE_LIMIT_MAX_VIOLATIONS  - Dropped messages before the socket is closed (default 100)
+ *   RESUME_GRACE_PERIOD        - ms a disconnected player is kept for session resume (default 15000)
+ *   ADMIN_TOKEN                - Bearer token for POST /kick and POST /broadcast (disabled if unset)
+ *   PROFILE_FILE               - JSON file player profiles are saved to (default data/profiles.json)
+ *
+ * HTTP endpoints:
+ *   GET  /health               - Liveness probe
+ *   GET  /stats                - Player count, rooms, message rates, uptime
+ *   GET  /players              - All connected players
+ *   POST /kick/:playerId       - Disconnect a player (admin)
+ *   POST /broadcast            - Show an announcement to players, body { message, room? } (admin)
  */
 
-import { WebSocketServer } from 'ws';
+import { WebSocketServer, WebSocket } from 'ws';
 import http from 'http';
+import crypto from 'crypto';
+import { EnemySimulation } from './enemySimulation.js';
+import { DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY } from './WaveDirector.js';
+import { validateStateUpdate, createRunState, applyMovementInput, moveSpeedScaleForLevel, INPUT_RATE } from './stateValidation.js';
+import { getStatCaps, BASE_PLAYER_STATS } from './upgrades.js';
+import { getWeaponStats, getWeaponLevelCap } from './weapons.js';
+import { MessageRateLimiter, TokenBucket } from './rateLimiter.js';
+import { ProfileStore } from './profileStore.js';
+import {
+    PROTOCOL_VERSION,
+    PLAYER_SYNC_FIELDS,
+    ENEMY_SYNC_FIELDS,
+    KEYFRAME_INTERVAL,
+    EntityDeltaEncoder,
+    chooseEncoding,
+    diffFields,
+    encodeMessage,
+    decodeMessage
+} from './protocol.js';
 
 const PORT = process.env.PORT || 8080;
+const MAX_PAYLOAD_BYTES = Number(process.env.MAX_PAYLOAD_BYTES) || 16 * 1024;
+const MAX_CONNECTIONS = Number(process.env.MAX_CONNECTIONS) || 500;
+const MAX_CONNECTIONS_PER_IP = Number(process.env.MAX_CONNECTIONS_PER_IP) || 10;
+const TRUST_PROXY = process.env.TRUST_PROXY === '1';
+const RATE_LIMIT_STATE = Number(process.env.RATE_LIMIT_STATE) || 30;
+const RATE_LIMIT_ATTACK = Number(process.env.RATE_LIMIT_ATTACK) || 30;
+const RATE_LIMIT_INPUT = Number(process.env.RATE_LIMIT_INPUT) || 30;
+const RATE_LIMIT_DEFAULT = Number(process.env.RATE_LIMIT_DEFAULT) || 5;
+const RATE_LIMIT_MAX_VIOLATIONS = Number(process.env.RATE_LIMIT_MAX_VIOLATIONS) || 100;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+const RESUME_GRACE_PERIOD = Number(process.env.RESUME_GRACE_PERIOD) || 15000;
+const PROFILE_FILE = process.env.PROFILE_FILE || 'data/profiles.json';
 
-// Create HTTP server
-const server = http.createServer();
+// Token bucket settings per message type (burst allows short spikes)
+const RATE_LIMITS = {
+    stateUpdate: { rate: RATE_LIMIT_STATE, burst: RATE_LIMIT_STATE * 2 },
+    attack: { rate: RATE_LIMIT_ATTACK, burst: RATE_LIMIT_ATTACK * 2 },
+    input: { rate: RATE_LIMIT_INPUT, burst: RATE_LIMIT_INPUT * 2 },
+    default: { rate: RATE_LIMIT_DEFAULT, burst: RATE_LIMIT_DEFAULT * 2 }
+};
+
+const DEFAULT_ROOM = 'lobby';
+const ENEMY_TICK_RATE = 20; // Enemy simulation/snapshot ticks per second
+const ACTIVE_PLAYER_TIMEOUT = 3000; // ms without a stateUpdate before enemies ignore a player
+const HIT_RATE_TOLERANCE = 1.25; // Accept hits a little faster than weapon cooldowns allow (frame timing jitter)
+const MAX_INPUTS_PER_MESSAGE = 30;
+const MAX_HITS_PER_MESSAGE = 64;
+const MESSAGE_RATE_WINDOW = 5000; // ms between message rate samples for /stats
+const MAX_ANNOUNCEMENT_LENGTH = 280;
+const CLIENT_STATUSES = ['connected', 'away']; // Statuses a client may set for itself ('reconnecting' is ours)
+// Player fields other clients and /players may see; the rest (input sequence, timers, hit budgets) is server-only
+const PUBLIC_PLAYER_FIELDS = ['id', 'name', 'color', 'room', 'x', 'y', 'hp', 'maxHp', 'level', 'exp', 'isDead', 'status', 'connectedAt'];
+const MAX_TRACKED_MESSAGE_TYPES = 32; // Stops junk message types from growing the stats table
+
+// WebSocket close codes
+const CLOSE_POLICY_VIOLATION = 1008;
+const CLOSE_MESSAGE_TOO_BIG = 1009; // Sent by ws itself when a message exceeds maxPayload
+const CLOSE_TRY_AGAIN_LATER = 1013;
+const CLOSE_KICKED = 4001;
+const CLOSE_SESSION_REPLACED = 4002;
+const CLOSE_PROTOCOL_MISMATCH = 4003;
+
+const startedAt = Date.now();
+
+// Persistent player profiles (name, color, best level, kills, play time)
+const profiles = new ProfileStore(PROFILE_FILE);
+profiles.load();
+
+// Create HTTP server (status and admin endpoints)
+const server = http.createServer((req, res) => {
+    handleHttpRequest(req, res).catch((error) => {
+        console.error('[Server] HTTP error:', error);
+        if (!res.headersSent) {
+            sendJson(res, 500, { error: 'Internal server error' });
+        }
+    });
+});
 
 // Create WebSocket server
-const wss = new WebSocketServer({ server });
+const wss = new WebSocketServer({ server, maxPayload: MAX_PAYLOAD_BYTES });
+
+// Store rooms (room code -> { code, players, enemies, createdAt })
+const rooms = new Map();
+
+// Open sockets per client address
+const connectionsByIp = new Map();
+
+// Resumable sessions (playerId -> { playerId, token, roomCode, ws, removalTimer })
+// Tokens are kept here rather than on the player record, which is broadcast
+const sessions = new Map();
+
+/**
+ * Compare session tokens in constant time
+ */
+function tokensMatch(expected, actual) {
+    if (typeof actual !== 'string') return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(actual);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Forget a player's session, cancelling any pending removal
+ */
+function endSession(playerId) {
+    const session = sessions.get(playerId);
+    if (session) {
+        clearTimeout(session.removalTimer);
+        sessions.delete(playerId);
+    }
+}
+
+// Received message counts, sampled into per-second rates for /stats
+const messageCounts = { total: 0, byType: {} };
+let messageRates = { total: 0, byType: {} };
+let lastMessageSample = { at: Date.now(), total: 0, byType: {} };
+
+/**
+ * Count a received message for /stats
+ */
+function recordMessage(type) {
+    let key = typeof type === 'string' ? type : 'invalid';
+    if (!(key in messageCounts.byType) && Object.keys(messageCounts.byType).length >= MAX_TRACKED_MESSAGE_TYPES) {
+        key = 'other';
+    }
+    messageCounts.total++;
+    messageCounts.byType[key] = (messageCounts.byType[key] || 0) + 1;
+}
+
+/**
+ * Client address, honouring X-Forwarded-For when running behind a trusted proxy
+ */
+function getClientIp(req) {
+    if (TRUST_PROXY) {
+        const forwarded = req.headers['x-forwarded-for'];
+        if (typeof forwarded === 'string' && forwarded.length > 0) {
+            return forwarded.split(',')[0].trim();
+        }
+    }
+    return req.socket.remoteAddress;
+}
+
+/**
+ * Normalize a room code: lowercase, alphanumeric/dash/underscore, max 32 chars
+ */
+function normalizeRoomCode(code) {
+    if (typeof code !== 'string') return DEFAULT_ROOM;
+    const cleaned = code.trim().toLowerCase().replace(/[^a-z0-9_-]/g, '').substring(0, 32);
+    return cleaned || DEFAULT_ROOM;
+}
 
-// Store connected players
-const players = new Map();
+/**
+ * Get a room by code, creating it if it doesn't exist yet
+ * A new room takes the difficulty preset its first player asked for and keeps it
+ */
+function getOrCreateRoom(code, difficulty) {
+    let room = rooms.get(code);
+    if (!room) {
+        const preset = Object.prototype.hasOwnProperty.call(DIFFICULTY_PRESETS, difficulty) ? difficulty : DEFAULT_DIFFICULTY;
+        room = {
+            code: code,
+            players: new Map(),
+            difficulty: preset,
+            enemies: new EnemySimulation({ difficulty: preset }),
+            enemyDelta: new EntityDeltaEncoder(ENEMY_SYNC_FIELDS),
+            waveStatus: null, // Wave HUD text last broadcast; only sent when it changes
+            createdAt: Date.now()
+        };
+        rooms.set(code, room);
+        console.log(`[Server] Room created: ${code} (${preset})`);
+    }
+    return room;
+}
 
-// Broadcast message to all clients except sender
-function broadcast(message, excludePlayerId = null) {
-    const data = JSON.stringify(message);
+/**
+ * Delete a room once its last player has left
+ */
+function removeRoomIfEmpty(room) {
+    if (room && room.players.size === 0 && rooms.get(room.code) === room) {
+        rooms.delete(room.code);
+        console.log(`[Server] Room removed: ${room.code}`);
+    }
+}
+
+// Broadcast message to all clients in a room except sender
+function broadcast(room, message, excludePlayerId = null) {
+    if (!room) return;
+    const encoded = {}; // Encode once per encoding in use
     wss.clients.forEach((client) => {
-        if (client.readyState === WebSocket.OPEN) {
+        if (client.readyState === WebSocket.OPEN && client.roomCode === room.code) {
             // Skip the sender if specified
             if (excludePlayerId && client.playerId === excludePlayerId) {
                 return;
             }
-            client.send(data);
+            const encoding = client.encoding || 'json';
+            if (!(encoding in encoded)) {
+                encoded[encoding] = encodeMessage(message, encoding);
+            }
+            client.send(encoded[encoding]);
         }
     });
 }
 
+/**
+ * Players that are currently in a run and can be targeted by enemies
+ */
+function getActivePlayers(room, now = Date.now()) {
+    return Array.from(room.players.values()).filter(player =>
+        !player.isDead &&
+        player.status !== 'away' &&
+        player.lastStateAt &&
+        (now - player.lastStateAt) < ACTIVE_PLAYER_TIMEOUT
+    );
+}
+
+/**
+ * Players still in a run who are paused (away) or dropped but within their resume grace period
+ */
+function getWaitingPlayers(room) {
+    return Array.from(room.players.values()).filter(player =>
+        !player.isDead &&
+        (player.status === 'away' || player.status === 'reconnecting')
+    );
+}
+
+/**
+ * Remove a player from their room and notify the remaining players
+ */
+function removePlayerFromRoom(room, playerId) {
+    if (!room || !room.players.has(playerId)) return;
+
+    room.players.delete(playerId);
+    broadcast(room, {
+        type: 'playerRemoved',
+        playerId: playerId
+    }, playerId);
+    removeRoomIfEmpty(room);
+}
+
+/**
+ * All players across rooms, as stored on the server
+ */
+function getAllPlayers() {
+    const all = [];
+    for (const room of rooms.values()) {
+        all.push(...room.players.values());
+    }
+    return all;
+}
+
+/**
+ * The fields of a player record anyone else is allowed to see
+ */
+function toPublicPlayer(player) {
+    const result = {};
+    for (const key of PUBLIC_PLAYER_FIELDS) {
+        result[key] = player[key];
+    }
+    return result;
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read a request body as JSON, capped at MAX_PAYLOAD_BYTES
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_PAYLOAD_BYTES) {
+                reject(Object.assign(new Error('Body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (chunks.length === 0) {
+                resolve({});
+                return;
+            }
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString()));
+            } catch (error) {
+                reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Check the admin bearer token (constant-time compare)
+ */
+function isAuthorized(req) {
+    if (!ADMIN_TOKEN) return false;
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.substring(7) : '';
+    return tokensMatch(ADMIN_TOKEN, token);
+}
+
+/**
+ * Route HTTP requests to the status and admin endpoints
+ */
+async function handleHttpRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname.replace(/\/+$/, '') || '/';
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+        });
+        res.end();
+        return;
+    }
+
+    if (req.method === 'GET') {
+        switch (path) {
+            case '/health':
+                sendJson(res, 200, {
+                    status: 'ok',
+                    uptime: Math.floor((Date.now() - startedAt) / 1000)
+                });
+                return;
+
+            case '/stats':
+                sendJson(res, 200, {
+                    uptime: Math.floor((Date.now() - startedAt) / 1000),
+                    connections: wss.clients.size,
+                    players: getAllPlayers().length,
+                    rooms: Array.from(rooms.values()).map(room => ({
+                        code: room.code,
+                        players: room.players.size,
+                        enemies: room.enemies.enemies.size,
+                        createdAt: room.createdAt
+                    })),
+                    messages: {
+                        total: messageCounts.total,
+                        perSecond: messageRates
+                    }
+                });
+                return;
+
+            case '/players':
+                sendJson(res, 200, { players: getAllPlayers().map(toPublicPlayer) });
+                return;
+        }
+    }
+
+    if (req.method === 'POST' && (path.startsWith('/kick/') || path === '/broadcast')) {
+        if (!ADMIN_TOKEN) {
+            sendJson(res, 403, { error: 'Admin endpoints are disabled (ADMIN_TOKEN not set)' });
+            return;
+        }
+        if (!isAuthorized(req)) {
+            sendJson(res, 401, { error: 'Unauthorized' });
+            return;
+        }
+
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            sendJson(res, error.status || 400, { error: error.message });
+            return;
+        }
+
+        if (path.startsWith('/kick/')) {
+            const targetId = decodeURIComponent(path.substring('/kick/'.length));
+            let kicked = false;
+            wss.clients.forEach((client) => {
+                if (client.playerId === targetId) {
+                    client.kicked = true;
+                    client.close(CLOSE_KICKED, String(body.reason || 'Kicked by server').substring(0, 100));
+                    kicked = true;
+                }
+            });
+            if (!kicked) {
+                sendJson(res, 404, { error: 'Player not found' });
+                return;
+            }
+            endSession(targetId);
+            console.log(`[Server] Admin kicked player ${targetId.substring(0, 8)}...`);
+            sendJson(res, 200, { kicked: targetId });
+            return;
+        }
+
+        // POST /broadcast
+        const text = typeof body.message === 'string' ? body.message.trim().substring(0, MAX_ANNOUNCEMENT_LENGTH) : '';
+        if (!text) {
+            sendJson(res, 400, { error: 'message is required' });
+            return;
+        }
+        const targetRooms = body.room
+            ? [rooms.get(normalizeRoomCode(body.room))].filter(Boolean)
+            : Array.from(rooms.values());
+        targetRooms.forEach((room) => {
+            broadcast(room, {
+                type: 'announcement',
+                message: text,
+                sentAt: Date.now()
+            });
+        });
+        console.log(`[Server] Admin announcement to ${targetRooms.length} room(s): ${text}`);
+        sendJson(res, 200, { rooms: targetRooms.map(room => room.code) });
+        return;
+    }
+
+    sendJson(res, 404, { error: 'Not found' });
+}
+
 // Handle new connections
 wss.on('connection', (ws, req) => {
-    console.log(`[Server] New connection from ${req.socket.remoteAddress}`);
+    const clientIp = getClientIp(req);
+
+    // Connection caps (wss.clients already includes this socket)
+    if (wss.clients.size > MAX_CONNECTIONS) {
+        console.warn(`[Server] Connection from ${clientIp} refused: server full (${MAX_CONNECTIONS})`);
+        ws.close(CLOSE_TRY_AGAIN_LATER, 'Server full');
+        return;
+    }
+    const ipConnections = connectionsByIp.get(clientIp) || 0;
+    if (ipConnections >= MAX_CONNECTIONS_PER_IP) {
+        console.warn(`[Server] Connection from ${clientIp} refused: too many connections from this address`);
+        ws.close(CLOSE_TRY_AGAIN_LATER, 'Too many connections');
+        return;
+    }
+    connectionsByIp.set(clientIp, ipConnections + 1);
+
+    console.log(`[Server] New connection from ${clientIp}`);
     
     let playerId = null;
     let playerName = null;
+    let playerColor = null;
+    let room = null;
+    let profileId = null; // Stable identity across sessions, from the client's profile key
+    ws.encoding = 'json'; // Until the join handshake picks one
+    // What this player's room last received from us; remotePlayerUpdated only carries changes
+    let syncBaseline = {};
+    let syncUpdates = 0;
+    const rateLimiter = new MessageRateLimiter(RATE_LIMITS);
+    // Movement inputs are budgeted individually: no more than one per simulation step on average
+    const inputBudget = new TokenBucket(INPUT_RATE, INPUT_RATE / 2);
+
+    // Per-connection counters for bad traffic
+    const connectionStats = {
+        malformed: 0,
+        unknownTypes: 0,
+        rejectedStates: 0,
+        droppedInputs: 0
+    };
+    const describeConnection = () => playerId
+        ? `${playerName} (${playerId.substring(0, 8)}...)`
+        : clientIp;
+
+    /**
+     * Drop messages over the rate limit; close the socket if it keeps flooding
+     */
+    const checkRateLimit = (type) => {
+        if (rateLimiter.allow(type)) return true;
+
+        if (rateLimiter.violations >= RATE_LIMIT_MAX_VIOLATIONS) {
+            console.warn(`[Server] Closing ${describeConnection()}: rate limit exceeded (${rateLimiter.violations} dropped messages)`);
+            ws.dropped = true;
+            ws.close(CLOSE_POLICY_VIOLATION, 'Rate limit exceeded');
+        }
+        return false;
+    };
+
+    /**
+     * Send a message in this connection's negotiated encoding
+     */
+    const send = (message) => {
+        ws.send(encodeMessage(message, ws.encoding));
+    };
+
+    /**
+     * Check the client's protocol version; on mismatch tell it to refresh and close
+     */
+    const checkProtocol = (data) => {
+        if (data.protocolVersion === PROTOCOL_VERSION) return true;
+
+        const message = 'The game has been updated. Please refresh the page to keep playing online.';
+        console.warn(`[Server] Closing ${describeConnection()}: protocol version ${data.protocolVersion ?? 1}, server speaks ${PROTOCOL_VERSION}`);
+        if (data.protocolVersion === undefined) {
+            // Clients from before the handshake only know how to show announcements
+            ws.send(JSON.stringify({ type: 'announcement', message, sentAt: Date.now() }));
+        } else {
+            ws.send(JSON.stringify({ type: 'protocolMismatch', serverVersion: PROTOCOL_VERSION, message }));
+        }
+        ws.close(CLOSE_PROTOCOL_MISMATCH, 'Protocol version mismatch');
+        return false;
+    };
+
+    /**
+     * Fold a validated stateUpdate into the player's profile; send the
+     * updated profile when a run ends
+     */
+    const updateProfile = (player, wasDead, previousStateAt, now) => {
+        const profile = profiles.get(profileId);
+        if (!profile) return;
+
+        const changes = {
+            bestLevel: Math.max(profile.bestLevel, player.level || 1)
+        };
+        // Count time between consecutive updates of a live run (gaps mean paused or away)
+        if (!wasDead && previousStateAt && now - previousStateAt < 2000) {
+            changes.playTime = profile.playTime + (now - previousStateAt) / 1000;
+        }
+        profiles.update(profileId, changes);
+
+        if (player.isDead && !wasDead) {
+            send({ type: 'profileUpdated', profile: ProfileStore.toPublic(profile) });
+        }
+    };
+
+    /**
+     * Full state for players joining mid-way: a fresh baseline and the current enemies
+     */
+    const resetSync = () => {
+        syncBaseline = {};
+        syncUpdates = 0;
+        send({
+            type: 'enemySnapshot',
+            tick: room.enemies.tick,
+            full: true,
+            enemies: room.enemyDelta.getFullState(),
+            removed: [],
+            waveStatus: room.enemies.getWaveStatus(),
+            serverTime: Date.now()
+        });
+    };
+
+    /**
+     * Place this connection's player into a room and sync the room's players
+     */
+    const joinRoom = (code, difficulty) => {
+        const nextRoom = getOrCreateRoom(normalizeRoomCode(code), difficulty);
+        if (room && room !== nextRoom) {
+            removePlayerFromRoom(room, playerId);
+        }
+        room = nextRoom;
+        ws.roomCode = room.code;
+
+        const session = sessions.get(playerId);
+        if (session) {
+            session.roomCode = room.code;
+        }
+
+        // Store player info
+        room.players.set(playerId, {
+            id: playerId,
+            name: playerName,
+            color: playerColor,
+            room: room.code,
+            ...createRunState(),
+            isAlive: true,
+            status: 'connected',
+            connectedAt: Date.now()
+        });
+
+        console.log(`[Server] Player joined: ${playerName} (${playerId.substring(0, 8)}...) in room ${room.code}`);
+
+        // Send current players list to new player
+        send({
+            type: 'playersList',
+            room: room.code,
+            difficulty: room.difficulty,
+            players: Array.from(room.players.values(), toPublicPlayer)
+        });
+        resetSync();
+
+        // Notify all other players in the room about new player
+        broadcast(room, {
+            type: 'remotePlayerAdded',
+            playerId: playerId,
+            playerData: toPublicPlayer(room.players.get(playerId))
+        }, playerId);
+    };
     
     // Handle incoming messages
-    ws.on('message', (message) => {
+    ws.on('message', (message, isBinary) => {
+        // Ignore anything still arriving after we decided to close the socket
+        if (ws.readyState !== WebSocket.OPEN) return;
+
+        let data;
+        try {
+            data = decodeMessage(isBinary ? message : message.toString());
+        } catch (error) {
+            recordMessage(null);
+            if (!checkRateLimit('invalid')) return;
+            connectionStats.malformed++;
+            console.warn(`[Server] Malformed ${isBinary ? 'binary' : 'JSON'} message from ${describeConnection()} (${connectionStats.malformed} total)`);
+            return;
+        }
+        if (!data || typeof data !== 'object') {
+            if (!checkRateLimit('invalid')) return;
+            connectionStats.malformed++;
+            console.warn(`[Server] Non-object message from ${describeConnection()} (${connectionStats.malformed} total)`);
+            return;
+        }
+
+        recordMessage(data.type);
+        if (!checkRateLimit(data.type)) return;
+
         try {
-            const data = JSON.parse(message.toString());
-            
             switch (data.type) {
-                case 'playerJoined':
-                    playerId = data.playerId;
-                    playerName = data.playerName;
+                case 'playerJoined': {
+                    if (!checkProtocol(data)) break;
+                    if (typeof data.playerId !== 'string' || !data.playerId) break;
+                    const requestedId = data.playerId.substring(0, 64);
+
+                    // Another connection (live or within its grace period) owns this id
+                    const existing = sessions.get(requestedId);
+                    if (existing && existing.ws !== ws) {
+                        ws.send(JSON.stringify({
+                            type: 'joinRejected',
+                            reason: 'playerId in use'
+                        }));
+                        break;
+                    }
+
+                    // Joining again under another id replaces this connection's old player
+                    if (playerId && playerId !== requestedId) {
+                        removePlayerFromRoom(room, playerId);
+                        endSession(playerId);
+                        room = null;
+                    }
+
+                    playerId = requestedId;
+                    playerName = String(data.playerName || playerId).substring(0, 32);
+                    playerColor = Number.isInteger(data.color) ? data.color : 0x4CAF50;
                     ws.playerId = playerId;
-                    
-                    // Store player info
-                    players.set(playerId, {
-                        id: playerId,
-                        name: playerName,
-                        color: data.color,
-                        x: 0,
-                        y: 0,
-                        hp: 100,
-                        maxHp: 100,
-                        level: 1,
-                        exp: 0,
-                        isAlive: true,
-                        connectedAt: Date.now()
-                    });
-                    
-                    console.log(`[Server] Player joined: ${playerName} (${playerId.substring(0, 8)}...)`);
-                    
-                    // Send current players list to new player
+
+                    // Clients without a usable profile key play without a saved profile
+                    profileId = ProfileStore.idForKey(data.profileKey);
+                    const profile = profileId
+                        ? profiles.open(profileId, { name: playerName, color: playerColor })
+                        : null;
+
+                    // Issue a session token the client can use to resume after a drop
+                    let session = existing;
+                    if (!session) {
+                        session = {
+                            playerId: playerId,
+                            token: crypto.randomBytes(16).toString('hex'),
+                            roomCode: null,
+                            ws: ws,
+                            removalTimer: null
+                        };
+                        sessions.set(playerId, session);
+                    }
+                    session.profileId = profileId;
+                    // Handshake reply goes out as JSON; everything after uses the chosen encoding
+                    const encoding = chooseEncoding(data.encodings);
                     ws.send(JSON.stringify({
-                        type: 'playersList',
-                        players: Array.from(players.values())
+                        type: 'sessionStarted',
+                        playerId: playerId,
+                        sessionToken: session.token,
+                        resumeGracePeriod: RESUME_GRACE_PERIOD,
+                        protocolVersion: PROTOCOL_VERSION,
+                        encoding: encoding,
+                        profile: ProfileStore.toPublic(profile)
                     }));
-                    
-                    // Notify all other players about new player
-                    broadcast({
-                        type: 'remotePlayerAdded',
+                    ws.encoding = encoding;
+
+                    joinRoom(data.room, data.difficulty);
+                    break;
+                }
+
+                case 'resume': {
+                    if (!checkProtocol(data)) break;
+                    const session = sessions.get(data.playerId);
+                    if (!session || !tokensMatch(session.token, data.sessionToken)) {
+                        ws.send(JSON.stringify({ type: 'resumeFailed', reason: 'Unknown or expired session' }));
+                        break;
+                    }
+                    const resumeRoom = rooms.get(session.roomCode);
+                    const player = resumeRoom && resumeRoom.players.get(session.playerId);
+                    if (!player) {
+                        endSession(session.playerId);
+                        ws.send(JSON.stringify({ type: 'resumeFailed', reason: 'Player no longer in room' }));
+                        break;
+                    }
+
+                    // Take over the session from the old socket (if it is somehow still open)
+                    clearTimeout(session.removalTimer);
+                    session.removalTimer = null;
+                    if (session.ws && session.ws !== ws) {
+                        session.ws.close(CLOSE_SESSION_REPLACED, 'Session resumed elsewhere');
+                    }
+                    session.ws = ws;
+
+                    playerId = session.playerId;
+                    playerName = player.name;
+                    playerColor = player.color;
+                    profileId = session.profileId || null;
+                    room = resumeRoom;
+                    ws.playerId = playerId;
+                    ws.roomCode = room.code;
+                    player.status = 'connected';
+                    player.lastUpdate = Date.now();
+
+                    console.log(`[Server] Session resumed: ${playerName} (${playerId.substring(0, 8)}...) in room ${room.code}`);
+
+                    const encoding = chooseEncoding(data.encodings);
+                    ws.send(JSON.stringify({
+                        type: 'sessionResumed',
                         playerId: playerId,
-                        playerData: players.get(playerId)
+                        room: room.code,
+                        state: toPublicPlayer(player),
+                        protocolVersion: PROTOCOL_VERSION,
+                        encoding: encoding,
+                        profile: profileId ? ProfileStore.toPublic(profiles.get(profileId)) : null
+                    }));
+                    ws.encoding = encoding;
+                    send({
+                        type: 'playersList',
+                        room: room.code,
+                        difficulty: room.difficulty,
+                        players: Array.from(room.players.values(), toPublicPlayer)
+                    });
+                    resetSync();
+                    broadcast(room, {
+                        type: 'playerStatus',
+                        playerId: playerId,
+                        status: 'connected'
                     }, playerId);
-                    
                     break;
-                    
-                case 'stateUpdate':
+                }
+
+                case 'joinRoom':
                     if (!playerId) break;
+                    joinRoom(data.room, data.difficulty);
+                    break;
+
+                case 'leaveRoom':
+                    if (!playerId || !room) break;
+                    console.log(`[Server] Player left room ${room.code}: ${playerName} (${playerId.substring(0, 8)}...)`);
+                    removePlayerFromRoom(room, playerId);
+                    room = null;
+                    ws.roomCode = null;
+                    break;
+                    
+                case 'runStarted': {
+                    if (!playerId || !room) break;
+
+                    // New run: reset the server-side state the client is validated against
+                    const player = room.players.get(playerId);
+                    if (player) {
+                        Object.assign(player, createRunState());
+                    }
+                    break;
+                }
+
+                case 'stateUpdate': {
+                    if (!playerId || !room) break;
                     
                     // Update player state
-                    const player = players.get(playerId);
+                    const player = room.players.get(playerId);
                     if (player) {
+                        const now = Date.now();
+                        const wasDead = player.isDead;
+                        const previousStateAt = player.lastStateAt;
+                        const result = validateStateUpdate(player, data.state, now, {
+                            serverMovement: !!player.usesInputs
+                        });
+
                         Object.assign(player, {
-                            ...data.state,
-                            lastUpdate: Date.now()
+                            ...result.state,
+                            lastUpdate: now,
+                            lastStateAt: now
                         });
+
+                        if (result.errors.length > 0) {
+                            connectionStats.rejectedStates++;
+                            console.warn(`[Server] Rejected state from ${describeConnection()}: ${result.errors.join(', ')} (${connectionStats.rejectedStates} total)`);
+                        }
+
+                        // Tell the client which values the server kept instead
+                        if (result.corrections) {
+                            send({
+                                type: 'stateCorrection',
+                                reasons: result.errors,
+                                state: result.corrections
+                            });
+                        }
+
+                        if (profileId) {
+                            updateProfile(player, wasDead, previousStateAt, now);
+                        }
                         
-                        // Broadcast state to all other players
-                        broadcast({
+                        // Broadcast changed fields to all other players in the room, stamped with
+                        // server time for client-side interpolation (sent even when nothing changed,
+                        // so remote clients know the player is standing still)
+                        const keyframe = syncUpdates++ % KEYFRAME_INTERVAL === 0;
+                        broadcast(room, {
                             type: 'remotePlayerUpdated',
                             playerId: playerId,
-                            player: player
+                            changes: diffFields(syncBaseline, player, PLAYER_SYNC_FIELDS, keyframe),
+                            serverTime: now
                         }, playerId);
                     }
                     break;
+                }
                     
+                case 'input': {
+                    if (!playerId || !room) break;
+
+                    const player = room.players.get(playerId);
+                    if (!player || player.isDead) break;
+
+                    const now = Date.now();
+                    const inputs = Array.isArray(data.inputs) ? data.inputs.slice(0, MAX_INPUTS_PER_MESSAGE) : [];
+                    for (const input of inputs) {
+                        if (!inputBudget.take(now)) {
+                            // Over budget: acknowledge without moving so the client replays without it
+                            if (Number.isInteger(input?.seq) && input.seq > (player.lastInputSeq || 0)) {
+                                player.lastInputSeq = input.seq;
+                            }
+                            connectionStats.droppedInputs++;
+                            continue;
+                        }
+                        applyMovementInput(player, input, moveSpeedScaleForLevel(player.level || 1));
+                    }
+                    player.usesInputs = true;
+                    player.lastMoveAt = now;
+
+                    // Authoritative position after the last processed input
+                    send({
+                        type: 'inputAck',
+                        seq: player.lastInputSeq || 0,
+                        x: player.x,
+                        y: player.y,
+                        serverTime: now
+                    });
+                    break;
+                }
+
+                case 'attack': {
+                    if (!playerId || !room) break;
+
+                    const attacker = room.players.get(playerId);
+                    const now = Date.now();
+                    if (!attacker || attacker.isDead) break;
+
+                    // We don't know the attacker's build, so allow the best one their level could have:
+                    // per weapon, damage and reach caps plus a budget of hits per second
+                    const level = attacker.level || 1;
+                    const caps = getStatCaps(level);
+                    const budgets = attacker.hitBudgets || (attacker.hitBudgets = new Map());
+                    const hits = Array.isArray(data.hits) ? data.hits.slice(0, MAX_HITS_PER_MESSAGE) : [];
+
+                    for (const hit of hits) {
+                        if (!hit || typeof hit !== 'object') continue;
+                        const limits = getWeaponStats(hit.weapon, getWeaponLevelCap(hit.weapon, level), caps, BASE_PLAYER_STATS);
+                        if (!limits) continue;
+
+                        const hitRate = limits.hitsPerUse / limits.cooldown * HIT_RATE_TOLERANCE;
+                        let budget = budgets.get(hit.weapon);
+                        if (!budget) {
+                            budget = new TokenBucket(hitRate, limits.hitsPerUse * 2);
+                            budgets.set(hit.weapon, budget);
+                        }
+                        budget.rate = hitRate; // Caps grow with level
+                        budget.burst = limits.hitsPerUse * 2;
+                        if (!budget.take(now)) continue;
+
+                        const damage = Math.min(Number(hit.damage) || 0, limits.damage);
+                        if (damage <= 0) continue;
+
+                        const result = room.enemies.applyAttack(attacker, hit.enemyId, damage, limits.reach);
+                        if (!result) continue;
+
+                        broadcast(room, {
+                            type: 'enemyHit',
+                            enemyId: result.enemy.id,
+                            attackerId: playerId,
+                            hp: result.enemy.hp
+                        });
+
+                        if (result.killed) {
+                            // Only the killer gets the loot, so only they can level up from it
+                            attacker.earnedExp = (attacker.earnedExp || 0) + result.enemy.expReward;
+                            broadcast(room, {
+                                type: 'enemyKilled',
+                                enemyId: result.enemy.id,
+                                killerId: playerId,
+                                exp: result.enemy.expReward
+                            });
+                            if (profileId) {
+                                const profile = profiles.get(profileId);
+                                profiles.update(profileId, { totalKills: profile.totalKills + 1 });
+                            }
+                        }
+                    }
+                    break;
+                }
+
+                case 'playerStatus': {
+                    if (!playerId || !room) break;
+
+                    // Away while paused; the rest of the room keeps playing around us
+                    const player = room.players.get(playerId);
+                    if (!player || !CLIENT_STATUSES.includes(data.status) || player.status === data.status) break;
+                    player.status = data.status;
+                    broadcast(room, {
+                        type: 'playerStatus',
+                        playerId: playerId,
+                        status: data.status
+                    }, playerId);
+                    break;
+                }
+
+                case 'clockSync':
+                    // Echo the client's clock with ours so it can estimate the offset
+                    send({
+                        type: 'clockSync',
+                        clientTime: Number(data.clientTime) || 0,
+                        serverTime: Date.now()
+                    });
+                    break;
+
                 case 'heartbeat':
-                    if (!playerId) break;
+                    if (!playerId || !room) break;
                     
-                    const p = players.get(playerId);
+                    const p = room.players.get(playerId);
                     if (p) {
                         p.lastUpdate = Date.now();
                     }
                     break;
+
+                default:
+                    connectionStats.unknownTypes++;
+                    console.warn(`[Server] Unknown message type "${String(data.type).substring(0, 32)}" from ${describeConnection()} (${connectionStats.unknownTypes} total)`);
+                    break;
             }
         } catch (error) {
-            console.error('[Server] Error parsing message:', error);
+            console.error('[Server] Error handling message:', error);
         }
     });
     
     // Handle disconnection
-    ws.on('close', () => {
-        if (playerId) {
+    ws.on('close', (code) => {
+        const remaining = (connectionsByIp.get(clientIp) || 1) - 1;
+        if (remaining > 0) {
+            connectionsByIp.set(clientIp, remaining);
+        } else {
+            connectionsByIp.delete(clientIp);
+        }
+
+        const { malformed, unknownTypes, rejectedStates, droppedInputs } = connectionStats;
+        if (malformed || unknownTypes || rejectedStates || droppedInputs) {
+            console.log(`[Server] Bad traffic from ${describeConnection()}: ${malformed} malformed, ${unknownTypes} unknown types, ${rejectedStates} rejected states, ${droppedInputs} dropped inputs`);
+        }
+
+        if (!playerId) return;
+
+        // A resumed connection has taken over this player
+        const session = sessions.get(playerId);
+        if (session && session.ws !== ws) return;
+
+        // Clients don't resume after being kicked or dropped for misbehaving, so there is no grace period
+        const dropped = ws.dropped || code === CLOSE_POLICY_VIOLATION || code === CLOSE_MESSAGE_TOO_BIG;
+        if (!room || !session || ws.kicked || dropped) {
             console.log(`[Server] Player disconnected: ${playerName} (${playerId.substring(0, 8)}...)`);
-            
-            // Remove player
-            players.delete(playerId);
-            
-            // Notify all other players
-            broadcast({
-                type: 'playerRemoved',
-                playerId: playerId
-            });
+
+            // Remove player and notify the rest of the room
+            removePlayerFromRoom(room, playerId);
+            endSession(playerId);
+            room = null;
+            return;
+        }
+
+        // Keep the player around for a grace period so the client can resume
+        console.log(`[Server] Player connection lost: ${playerName} (${playerId.substring(0, 8)}...), waiting ${RESUME_GRACE_PERIOD}ms for resume`);
+        const graceRoom = room;
+        const gracePlayerId = playerId;
+        const player = graceRoom.players.get(gracePlayerId);
+        if (player) {
+            player.status = 'reconnecting';
         }
+        broadcast(graceRoom, {
+            type: 'playerStatus',
+            playerId: gracePlayerId,
+            status: 'reconnecting'
+        }, gracePlayerId);
+
+        session.ws = null;
+        session.removalTimer = setTimeout(() => {
+            console.log(`[Server] Player disconnected: ${playerName} (${gracePlayerId.substring(0, 8)}...), resume grace period expired`);
+            removePlayerFromRoom(graceRoom, gracePlayerId);
+            sessions.delete(gracePlayerId);
+        }, RESUME_GRACE_PERIOD);
+        room = null;
     });
     
     // Handle errors
     ws.on('error', (error) => {
+        if (error.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+            console.warn(`[Server] Closing ${describeConnection()}: message larger than ${MAX_PAYLOAD_BYTES} bytes`);
+            return;
+        }
         console.error('[Server] WebSocket error:', error);
     });
 });
@@ -152,18 +1066,89 @@ server.listen(PORT, () => {
     console.log(`[Server] Connect clients to: ws://localhost:${PORT}`);
 });
 
-// Cleanup inactive players (disconnected for > 30 seconds)
+// Enemy simulation: step every room and broadcast snapshots at a fixed tick
+let lastEnemyTick = Date.now();
 setInterval(() => {
     const now = Date.now();
-    for (const [id, player] of players.entries()) {
-        if (player.lastUpdate && (now - player.lastUpdate) > 30000) {
-            console.log(`[Server] Removing inactive player: ${player.name} (${id.substring(0, 8)}...)`);
-            players.delete(id);
-            broadcast({
-                type: 'playerRemoved',
-                playerId: id
-            });
+    const dt = (now - lastEnemyTick) / 1000;
+    lastEnemyTick = now;
+
+    for (const room of rooms.values()) {
+        const activePlayers = getActivePlayers(room, now);
+        const hadEnemies = room.enemies.enemies.size > 0;
+        if (activePlayers.length > 0 || getWaitingPlayers(room).length === 0) {
+            room.enemies.step(dt, activePlayers);
+        }
+        // Otherwise everyone left is away or reconnecting: enemies and waves hold still until they're back
+
+        if (activePlayers.length > 0 || hadEnemies) {
+            // Only enemies that moved/changed, plus removals; a periodic keyframe carries everything
+            const snapshot = room.enemies.getSnapshot();
+            const delta = room.enemyDelta.encode(snapshot.enemies);
+            const waveStatus = room.enemies.getWaveStatus();
+            const waveChanged = waveStatus !== room.waveStatus;
+            const hasChanges = delta.entities.length > 0 || delta.removed.length > 0 || snapshot.shots.length > 0;
+            if (delta.full || waveChanged || hasChanges) {
+                const message = {
+                    type: 'enemySnapshot',
+                    tick: snapshot.tick,
+                    full: delta.full,
+                    enemies: delta.entities,
+                    removed: delta.removed,
+                    shots: snapshot.shots,
+                    serverTime: now
+                };
+                if (delta.full || waveChanged) {
+                    message.waveStatus = waveStatus;
+                    room.waveStatus = waveStatus;
+                }
+                broadcast(room, message);
+            }
+        }
+    }
+}, 1000 / ENEMY_TICK_RATE);
+
+// Sample message counts into per-second rates for /stats
+setInterval(() => {
+    const now = Date.now();
+    const seconds = (now - lastMessageSample.at) / 1000;
+    const byType = {};
+    for (const [type, count] of Object.entries(messageCounts.byType)) {
+        const rate = (count - (lastMessageSample.byType[type] || 0)) / seconds;
+        if (rate > 0) {
+            byType[type] = Math.round(rate * 10) / 10;
         }
     }
+    messageRates = {
+        total: Math.round(((messageCounts.total - lastMessageSample.total) / seconds) * 10) / 10,
+        byType
+    };
+    lastMessageSample = { at: now, total: messageCounts.total, byType: { ...messageCounts.byType } };
+}, MESSAGE_RATE_WINDOW);
+
+// Cleanup inactive players (disconnected for > 30 seconds) and empty rooms
+setInterval(() => {
+    const now = Date.now();
+    for (const room of rooms.values()) {
+        for (const [id, player] of room.players.entries()) {
+            if (player.lastUpdate && (now - player.lastUpdate) > 30000) {
+                console.log(`[Server] Removing inactive player: ${player.name} (${id.substring(0, 8)}...) from room ${room.code}`);
+                room.players.delete(id);
+                endSession(id);
+                broadcast(room, {
+                    type: 'playerRemoved',
+                    playerId: id
+                });
+            }
+        }
+        removeRoomIfEmpty(room);
+    }
 }, 10000); // Check every 10 seconds
 
+// Flush profiles before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        profiles.saveSync();
+        process.exit(0);
+    });
+}
@@ -0,0 +1,223 @@
+/**
+ * State Validation Module
+ * Server-side schema and sanity checks for client stateUpdate messages
+ * Clients may only report the fields below; everything else is server-owned
+ */
+
+import { BASE_PLAYER_STATS, getStatCap } from './upgrades.js';
+import { SIMULATION_RATE } from './FixedTimestep.js';
+
+// Allowed stateUpdate fields and their types
+export const STATE_SCHEMA = {
+    x: 'number',
+    y: 'number',
+    hp: 'number',
+    maxHp: 'number',
+    level: 'number',
+    exp: 'number',
+    isDead: 'boolean'
+};
+
+export const MAX_LEVEL = 100;
+export const PLAYER_SPEED = BASE_PLAYER_STATS.moveSpeed; // px per second before upgrades
+export const MOVE_PER_INPUT = PLAYER_SPEED / SIMULATION_RATE; // px per movement input (one input per simulation step)
+export const INPUT_RATE = SIMULATION_RATE; // movement inputs per second a client may send
+const MOVEMENT_TOLERANCE = 1.25; // Allow for network timing jitter
+const MOVEMENT_SLACK = 60; // px, covers enemy bounce push-back between updates
+const MAX_MOVEMENT_WINDOW = 1; // seconds; no credit for time spent paused or idle
+
+/**
+ * Highest max HP reachable by a given level (every upgrade spent on Vitality)
+ */
+export function maxHpForLevel(level) {
+    return getStatCap('maxHP', level);
+}
+
+/**
+ * Fastest movement reachable by a given level, relative to the base speed
+ */
+export function moveSpeedScaleForLevel(level) {
+    return getStatCap('moveSpeed', level) / BASE_PLAYER_STATS.moveSpeed;
+}
+
+/**
+ * EXP needed to reach the next level
+ */
+export function expForLevel(level) {
+    return 50 * level;
+}
+
+/**
+ * Total EXP needed to get from level 1 to a given level
+ */
+export function totalExpForLevel(level) {
+    return 25 * level * (level - 1);
+}
+
+/**
+ * Highest level a total amount of EXP reaches
+ */
+export function levelForExp(totalExp) {
+    let level = 1;
+    while (level < MAX_LEVEL && totalExp >= totalExpForLevel(level + 1)) {
+        level++;
+    }
+    return level;
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Fresh server-side state for a player starting a run
+ */
+export function createRunState(now = Date.now()) {
+    return {
+        x: 0,
+        y: 0,
+        hp: 100,
+        maxHp: 100,
+        level: 1,
+        exp: 0,
+        earnedExp: 0, // EXP from kills the server confirmed this run; caps the reported level and exp
+        isDead: false,
+        lastMoveAt: now
+    };
+}
+
+/**
+ * Validate a stateUpdate against the player's current server state
+ * @param {Object} player - Current server-side player record
+ * @param {Object} state - State reported by the client
+ * @param {number} [now]
+ * @param {Object} [options]
+ * @param {boolean} [options.serverMovement] - Position comes from inputs; ignore reported x/y
+ * @returns {{ state: Object, errors: string[], corrections: Object|null }}
+ *   state: sanitized fields safe to apply
+ *   errors: reasons the update was rejected or changed
+ *   corrections: authoritative values the client should adopt, or null
+ */
+export function validateStateUpdate(player, state, now = Date.now(), options = {}) {
+    const errors = [];
+    const sanitized = {};
+    const corrections = {};
+
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+        return { state: sanitized, errors: ['state must be an object'], corrections: null };
+    }
+
+    // Schema: known fields with the right types only
+    for (const [key, value] of Object.entries(state)) {
+        if (options.serverMovement && (key === 'x' || key === 'y')) continue;
+        const type = STATE_SCHEMA[key];
+        if (!type) {
+            errors.push(`unknown field: ${key}`);
+            continue;
+        }
+        const valid = type === 'number' ? Number.isFinite(value) : typeof value === type;
+        if (!valid) {
+            errors.push(`invalid ${key}`);
+            continue;
+        }
+        sanitized[key] = value;
+    }
+
+    const correct = (key, value, reason) => {
+        if (sanitized[key] !== value) {
+            errors.push(reason);
+            corrections[key] = value;
+        }
+        sanitized[key] = value;
+    };
+
+    // Level, then everything derived from it; no higher than the server-confirmed EXP reaches
+    const earnedExp = player.earnedExp || 0;
+    if ('level' in sanitized) {
+        correct('level', clamp(Math.floor(sanitized.level), 1, levelForExp(earnedExp)), 'level out of range');
+    }
+    const level = sanitized.level ?? player.level ?? 1;
+
+    if ('maxHp' in sanitized) {
+        correct('maxHp', clamp(sanitized.maxHp, 1, maxHpForLevel(level)), 'maxHp out of range');
+    }
+    const maxHp = sanitized.maxHp ?? player.maxHp ?? 100;
+
+    if ('hp' in sanitized) {
+        correct('hp', clamp(sanitized.hp, 0, maxHp), 'hp out of range');
+    }
+
+    if ('exp' in sanitized) {
+        const maxExp = Math.min(expForLevel(level), earnedExp - totalExpForLevel(level));
+        correct('exp', clamp(sanitized.exp, 0, Math.max(0, maxExp)), 'exp out of range');
+    }
+
+    // Dead players stay dead until they start a new run
+    if (player.isDead && sanitized.isDead === false) {
+        correct('isDead', true, 'player is dead');
+    }
+
+    // Movement: no faster than the client's own movement speed
+    if ('x' in sanitized || 'y' in sanitized) {
+        const fromX = player.x || 0;
+        const fromY = player.y || 0;
+        const toX = sanitized.x ?? fromX;
+        const toY = sanitized.y ?? fromY;
+        const elapsed = player.lastMoveAt
+            ? Math.min((now - player.lastMoveAt) / 1000, MAX_MOVEMENT_WINDOW)
+            : MAX_MOVEMENT_WINDOW;
+        const speed = PLAYER_SPEED * moveSpeedScaleForLevel(level);
+        const maxDist = speed * elapsed * MOVEMENT_TOLERANCE + MOVEMENT_SLACK;
+        const dx = toX - fromX;
+        const dy = toY - fromY;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+
+        if (dist > maxDist) {
+            errors.push('moved too fast');
+            sanitized.x = fromX + (dx / dist) * maxDist;
+            sanitized.y = fromY + (dy / dist) * maxDist;
+            corrections.x = sanitized.x;
+            corrections.y = sanitized.y;
+        } else {
+            sanitized.x = toX;
+            sanitized.y = toY;
+        }
+        sanitized.lastMoveAt = now;
+    }
+
+    return {
+        state: sanitized,
+        errors,
+        corrections: Object.keys(corrections).length > 0 ? corrections : null
+    };
+}
+
+/**
+ * Apply one movement input to a player (server-side movement)
+ * @param {Object} player - Server-side player record
+ * @param {Object} input - { seq, dx, dy } with (dx, dy) the step's movement in units of MOVE_PER_INPUT
+ * @param {number} [maxLength] - Longest allowed (dx, dy); above 1 when speed upgrades are possible
+ * @returns {boolean} false if the input was malformed or out of order
+ */
+export function applyMovementInput(player, input, maxLength = 1) {
+    if (!input || typeof input !== 'object') return false;
+
+    const seq = input.seq;
+    if (!Number.isInteger(seq) || seq <= (player.lastInputSeq || 0)) return false;
+
+    let dx = input.dx;
+    let dy = input.dy;
+    if (!Number.isFinite(dx) || !Number.isFinite(dy)) return false;
+
+    // Anything faster than the player could possibly move is scaled back down
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length > maxLength) {
+        dx *= maxLength / length;
+        dy *= maxLength / length;
+    }
+
+    player.x += dx * MOVE_PER_INPUT;
+    player.y += dy * MOVE_PER_INPUT;
+    player.lastInputSeq = seq;
+    return true;
+}
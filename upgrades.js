@@ -0,0 +1,202 @@
+/**
+ * Upgrades
+ * Data-driven level-up upgrades: each one raises a single player stat or
+ * adds/levels a weapon (see weapons.js).
+ * A build is a map of upgrade id -> times taken; stats are always derived
+ * from the base stats and the build, never accumulated frame by frame.
+ * Shared by MainScene (choices) and the server (upper bounds for validation)
+ */
+
+import { WEAPONS, STARTING_WEAPON } from './weapons.js';
+
+// Stats of a fresh level 1 player; attackRate is seconds between attacks
+export const BASE_PLAYER_STATS = {
+    attackRate: 1,
+    attackRange: 300,
+    attackDamage: 10,
+    maxHP: 100,
+    moveSpeed: 240, // px per second; sets MOVE_PER_INPUT in stateValidation.js
+    targets: 1,
+    regen: 0, // HP per second
+    pickupRadius: 80
+};
+
+export const UPGRADES = {
+    attackRate: {
+        label: 'Quick Strikes',
+        description: 'Attack 15% faster',
+        stat: 'attackRate',
+        multiply: 0.85,
+        maxLevel: 5
+    },
+    range: {
+        label: 'Long Reach',
+        description: '+15% attack range',
+        stat: 'attackRange',
+        multiply: 1.15,
+        maxLevel: 5
+    },
+    damage: {
+        label: 'Heavy Hits',
+        description: '+50% attack damage',
+        stat: 'attackDamage',
+        multiply: 1.5,
+        maxLevel: 8
+    },
+    maxHP: {
+        label: 'Vitality',
+        description: '+20 max HP',
+        stat: 'maxHP',
+        add: 20,
+        maxLevel: 10
+    },
+    moveSpeed: {
+        label: 'Swift Feet',
+        description: '+10% move speed',
+        stat: 'moveSpeed',
+        multiply: 1.1,
+        maxLevel: 5
+    },
+    multiTarget: {
+        label: 'Forked Strike',
+        description: 'Attacks hit one more enemy',
+        stat: 'targets',
+        add: 1,
+        maxLevel: 4
+    },
+    regen: {
+        label: 'Regeneration',
+        description: 'Recover 1 HP per second',
+        stat: 'regen',
+        add: 1,
+        maxLevel: 5
+    },
+    pickupRadius: {
+        label: 'Magnetism',
+        description: '+30% pickup radius',
+        stat: 'pickupRadius',
+        multiply: 1.3,
+        maxLevel: 5
+    },
+    // Weapons: the first pick adds the weapon, later picks level it up
+    zap: {
+        label: 'Zap',
+        description: 'Stronger zaps that hit more enemies',
+        weapon: 'zap',
+        maxLevel: WEAPONS.zap.levels.length - 1 // Everyone starts with it
+    },
+    chain: {
+        label: 'Chain Lightning',
+        description: WEAPONS.chain.description,
+        weapon: 'chain',
+        maxLevel: WEAPONS.chain.levels.length
+    },
+    blade: {
+        label: 'Orbiting Blade',
+        description: WEAPONS.blade.description,
+        weapon: 'blade',
+        maxLevel: WEAPONS.blade.levels.length
+    },
+    piercer: {
+        label: 'Piercing Bolt',
+        description: WEAPONS.piercer.description,
+        weapon: 'piercer',
+        maxLevel: WEAPONS.piercer.levels.length
+    },
+    pulse: {
+        label: 'Pulse',
+        description: WEAPONS.pulse.description,
+        weapon: 'pulse',
+        maxLevel: WEAPONS.pulse.levels.length
+    }
+};
+
+export const UPGRADE_CHOICES = 3; // Options offered per level up
+
+export function getUpgrade(id) {
+    return UPGRADES[id] || null;
+}
+
+function applyUpgradeTimes(value, upgrade, times) {
+    for (let i = 0; i < times; i++) {
+        value = upgrade.multiply !== undefined ? value * upgrade.multiply : value + upgrade.add;
+    }
+    return value;
+}
+
+/**
+ * Player stats for a build
+ * @param {Object} [build] - upgrade id -> times taken
+ */
+export function getBuildStats(build = {}) {
+    const stats = { ...BASE_PLAYER_STATS };
+    for (const [id, times] of Object.entries(build)) {
+        const upgrade = UPGRADES[id];
+        if (!upgrade || !upgrade.stat) continue;
+        stats[upgrade.stat] = applyUpgradeTimes(stats[upgrade.stat], upgrade, Math.min(times, upgrade.maxLevel));
+    }
+    return stats;
+}
+
+/**
+ * Best value a stat can have at a level: every level-up so far spent on it
+ * Lets the server bound what a client may claim without knowing its build
+ */
+export function getStatCap(stat, level) {
+    let value = BASE_PLAYER_STATS[stat];
+    const picks = Math.max(0, Math.floor(level) - 1);
+    for (const upgrade of Object.values(UPGRADES)) {
+        if (upgrade.stat === stat) {
+            value = applyUpgradeTimes(value, upgrade, Math.min(picks, upgrade.maxLevel));
+        }
+    }
+    return value;
+}
+
+/**
+ * Caps for every stat at a level (see getStatCap)
+ */
+export function getStatCaps(level) {
+    const caps = {};
+    for (const stat of Object.keys(BASE_PLAYER_STATS)) {
+        caps[stat] = getStatCap(stat, level);
+    }
+    return caps;
+}
+
+/**
+ * Weapons held with a build: weapon id -> level
+ */
+export function getWeaponLevels(build = {}) {
+    const levels = { [STARTING_WEAPON]: 1 };
+    for (const [id, times] of Object.entries(build)) {
+        const upgrade = UPGRADES[id];
+        if (!upgrade || !upgrade.weapon) continue;
+        levels[upgrade.weapon] = (levels[upgrade.weapon] || 0) + Math.min(times, upgrade.maxLevel);
+    }
+    return levels;
+}
+
+/**
+ * Random upgrades to offer, skipping ones already at their max level
+ * @returns {string[]} upgrade ids
+ */
+export function rollUpgradeChoices(build = {}, count = UPGRADE_CHOICES, random = Math.random) {
+    const available = Object.keys(UPGRADES).filter(id => (build[id] || 0) < UPGRADES[id].maxLevel);
+    const choices = [];
+    while (choices.length < count && available.length > 0) {
+        const index = Math.floor(random() * available.length);
+        choices.push(available.splice(index, 1)[0]);
+    }
+    return choices;
+}
+
+/**
+ * One-line summary of a build, e.g. "Quick Strikes 2 • Vitality 1"
+ */
+export function describeBuild(build = {}) {
+    return Object.entries(build)
+        .filter(([id, times]) => UPGRADES[id] && times > 0)
+        .map(([id, times]) => `${UPGRADES[id].label} ${times}`)
+        .join(' • ');
+}
@@ -0,0 +1,137 @@
+/**
+ * Weapons
+ * Data-driven weapon definitions: per-level stats, visuals and which behaviour
+ * drives them (behaviours are implemented by WeaponSystem)
+ * Timers are in seconds, speeds in px (or radians) per second and distances in px
+ *
+ * Every level has:
+ *   damage   - damage per hit
+ *   cooldown - seconds between uses (orbit: seconds before the same enemy can be hit again)
+ *   range    - px from the player (orbit: orbit radius, projectile: travel distance)
+ *   hits     - enemies hit per use (chain: jumps, projectile: pierce count)
+ */
+
+export const STARTING_WEAPON = 'zap';
+
+export const WEAPONS = {
+    // The original auto-attack: instant hit on the closest enemy
+    zap: {
+        label: 'Zap',
+        description: 'Zaps the closest enemies',
+        behaviour: 'zap',
+        color: 0xfff200,
+        levels: [
+            { damage: 10, cooldown: 1, range: 300, hits: 1 },
+            { damage: 14, cooldown: 0.92, range: 300, hits: 1 },
+            { damage: 18, cooldown: 0.83, range: 320, hits: 2 },
+            { damage: 24, cooldown: 0.75, range: 340, hits: 2 },
+            { damage: 30, cooldown: 0.67, range: 360, hits: 3 }
+        ]
+    },
+    // Jumps from enemy to enemy
+    chain: {
+        label: 'Chain Lightning',
+        description: 'Lightning that jumps between enemies',
+        behaviour: 'chain',
+        color: 0x80d8ff,
+        levels: [
+            { damage: 8, cooldown: 1.5, range: 260, hits: 3, jumpRange: 150 },
+            { damage: 10, cooldown: 1.42, range: 260, hits: 4, jumpRange: 160 },
+            { damage: 13, cooldown: 1.33, range: 280, hits: 5, jumpRange: 170 },
+            { damage: 16, cooldown: 1.25, range: 300, hits: 6, jumpRange: 180 },
+            { damage: 20, cooldown: 1.17, range: 320, hits: 8, jumpRange: 200 }
+        ]
+    },
+    // Blades circling the player, hitting whatever they touch
+    blade: {
+        label: 'Orbiting Blade',
+        description: 'Blades that circle around you',
+        behaviour: 'orbit',
+        color: 0xe0e0e0,
+        levels: [
+            { damage: 6, cooldown: 0.5, range: 100, hits: 6, count: 1, spin: 3.6, size: 14 },
+            { damage: 8, cooldown: 0.5, range: 110, hits: 8, count: 2, spin: 3.6, size: 14 },
+            { damage: 10, cooldown: 0.47, range: 120, hits: 10, count: 2, spin: 4.2, size: 16 },
+            { damage: 12, cooldown: 0.43, range: 130, hits: 12, count: 3, spin: 4.8, size: 16 },
+            { damage: 15, cooldown: 0.4, range: 140, hits: 15, count: 4, spin: 5.4, size: 18 }
+        ]
+    },
+    // Fired along the aim direction, passing through enemies
+    piercer: {
+        label: 'Piercing Bolt',
+        description: 'Bolts fired where you aim that pass through enemies',
+        behaviour: 'projectile',
+        color: 0xff80ab,
+        levels: [
+            { damage: 12, cooldown: 1.25, range: 600, hits: 3, count: 1, speed: 600, size: 7 },
+            { damage: 15, cooldown: 1.17, range: 650, hits: 4, count: 1, speed: 660, size: 7 },
+            { damage: 18, cooldown: 1.08, range: 700, hits: 5, count: 2, speed: 660, size: 8 },
+            { damage: 22, cooldown: 1, range: 750, hits: 6, count: 2, speed: 720, size: 8 },
+            { damage: 26, cooldown: 0.83, range: 800, hits: 8, count: 3, speed: 720, size: 9 }
+        ]
+    },
+    // Damages everything around the player
+    pulse: {
+        label: 'Pulse',
+        description: 'A shockwave that hits everything nearby',
+        behaviour: 'pulse',
+        color: 0xb388ff,
+        levels: [
+            { damage: 10, cooldown: 2.5, range: 140, hits: 20 },
+            { damage: 13, cooldown: 2.33, range: 160, hits: 25 },
+            { damage: 16, cooldown: 2.17, range: 180, hits: 30 },
+            { damage: 20, cooldown: 2, range: 200, hits: 35 },
+            { damage: 25, cooldown: 1.67, range: 220, hits: 40 }
+        ]
+    }
+};
+
+export function getWeapon(id) {
+    return Object.prototype.hasOwnProperty.call(WEAPONS, id) ? WEAPONS[id] : null;
+}
+
+/**
+ * Highest level a weapon can have at a player level: the starting weapon
+ * begins at 1 and every level up is at most one weapon level
+ */
+export function getWeaponLevelCap(id, playerLevel) {
+    const weapon = getWeapon(id);
+    if (!weapon) return 0;
+    const picks = Math.max(0, Math.floor(playerLevel) - 1);
+    return Math.min(weapon.levels.length, picks + (id === STARTING_WEAPON ? 1 : 0));
+}
+
+/**
+ * Effective stats of a weapon at a level, with the player's stat upgrades applied
+ * @param {Object} stats - Player stats (see getBuildStats in upgrades.js)
+ * @param {Object} baseStats - Stats the weapon tables were balanced for (BASE_PLAYER_STATS)
+ * @returns {Object|null} level stats plus reach (furthest hit from the player)
+ *   and hitsPerUse (most enemies one use can hit)
+ */
+export function getWeaponStats(id, level, stats, baseStats) {
+    const weapon = getWeapon(id);
+    if (!weapon || level < 1) return null;
+
+    const levelStats = weapon.levels[Math.min(level, weapon.levels.length) - 1];
+    const rangeScale = stats.attackRange / baseStats.attackRange;
+    const result = {
+        ...levelStats,
+        damage: levelStats.damage * stats.attackDamage / baseStats.attackDamage,
+        cooldown: levelStats.cooldown * stats.attackRate / baseStats.attackRate,
+        range: levelStats.range * rangeScale,
+        hits: levelStats.hits + stats.targets - baseStats.targets
+    };
+    if (levelStats.jumpRange) {
+        result.jumpRange = levelStats.jumpRange * rangeScale;
+    }
+
+    result.hitsPerUse = result.hits * (levelStats.count || 1);
+    if (weapon.behaviour === 'chain') {
+        result.reach = result.range + result.jumpRange * (result.hits - 1);
+    } else if (weapon.behaviour === 'orbit') {
+        result.reach = result.range + result.size;
+    } else {
+        result.reach = result.range;
+    }
+    return result;
+}